@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface to the Parsoid JS API.
+ *
+ * Run `parsoid-jsapi --help` for usage.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const Parsoid = require('../index.js');
+const queries = require('../queries.js');
+const server = require('../server.js');
+const Promise = require('parsoid/lib/utils/promise.js');
+
+const USAGE = `Usage: parsoid-jsapi <command> [options] [file]
+
+Reads wikitext (or HTML, for serialize) from the given file, or from
+standard input if no file (or "-") is given, and writes to standard output.
+
+Commands:
+  parse                Convert wikitext to HTML
+  serialize            Convert HTML to wikitext
+  query <type>         Print the templates, links, extlinks, categories,
+                       headings, sections, or media in the wikitext as JSON
+  transform <script>   Run a script on the document, and print the
+                       resulting wikitext.  The script is a module which
+                       exports a function invoked as fn(pdoc, Parsoid); it
+                       may return a promise.
+  serve                Run the HTTP service in server.js, which answers
+                       queries and edits as JSON
+
+Options:
+  --domain <domain>    The wiki to use (default: en.wikipedia.org)
+  --page-name <title>  The title of the page
+  --offline            Don't access the network; templates aren't expanded
+                       unless their source is given with --pages
+  --siteinfo <file>    With --offline: the wiki's siteinfo, as JSON
+  --pages <file>       With --offline: a JSON object mapping page titles
+                       to wikitext, for templates and modules
+  --body-only          With parse: print only the contents of <body>
+  --no-recursive       With query: don't look inside templates
+  --no-selser          With transform: serialize the whole document,
+                       instead of reusing the original wikitext
+  --host <host>        With serve: the address to listen on
+  --port <port>        With serve: the port to listen on (default: 8000)
+  -h, --help           Show this message
+`;
+
+// Options which take a value.
+const VALUE_OPTIONS = new Set([
+	'domain', 'pageName', 'siteinfo', 'pages', 'host', 'port',
+]);
+
+// Helper: parse the command-line arguments.
+const parseArgs = function(args) {
+	const opts = { _: [] };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		const m = /^--(no-)?([a-z][\w-]*)(?:=([^]*))?$/.exec(arg);
+		if (arg === '--') {
+			opts._.push.apply(opts._, args.slice(i + 1));
+			break;
+		} else if (arg === '-h') {
+			opts.help = true;
+		} else if (!m) {
+			opts._.push(arg);
+		} else {
+			const name = m[2].replace(/-(\w)/g, (all, c) => c.toUpperCase());
+			if (m[1]) {
+				opts[name] = false;
+			} else if (m[3] !== undefined) {
+				opts[name] = m[3];
+			} else if (VALUE_OPTIONS.has(name)) {
+				if (i + 1 >= args.length) {
+					throw new Error('Missing value for ' + arg);
+				}
+				opts[name] = args[++i];
+			} else {
+				opts[name] = true;
+			}
+		}
+	}
+	return opts;
+};
+
+// Helper: read the whole of a file, or of standard input.
+const readInput = function(file) {
+	if (file && file !== '-') {
+		return Promise.resolve(fs.readFileSync(file, 'utf8'));
+	}
+	return new Promise((resolve, reject) => {
+		let input = '';
+		process.stdin.setEncoding('utf8');
+		process.stdin.on('data', (chunk) => { input += chunk; });
+		process.stdin.on('end', () => resolve(input));
+		process.stdin.on('error', reject);
+	});
+};
+
+// Helper: options for Parsoid.createParser.
+const parserOptions = function(opts) {
+	const options = {
+		domain: opts.domain,
+		pageName: opts.pageName,
+	};
+	if (opts.offline) {
+		options.offline = {
+			siteinfo: opts.siteinfo,
+			pages: opts.pages ?
+				JSON.parse(fs.readFileSync(opts.pages, 'utf8')) : undefined,
+			domain: opts.domain,
+		};
+	}
+	return options;
+};
+
+const commands = {
+	parse: Promise.async(function *(parser, opts) {
+		const pdoc = yield parser.parse(yield readInput(opts._[0]), {});
+		return opts.bodyOnly ? pdoc.document.body.innerHTML :
+			pdoc.document.outerHTML;
+	}),
+	serialize: Promise.async(function *(parser, opts) {
+		return (yield parser.serialize(yield readInput(opts._[0])));
+	}),
+	query: Promise.async(function *(parser, opts) {
+		const query = queries.hasOwnProperty(opts._[0]) && queries[opts._[0]];
+		if (!query) {
+			throw new Error('Unknown query type: ' + opts._[0] + '\n' +
+				'Use one of: ' + Object.keys(queries).join(', '));
+		}
+		const pdoc = yield parser.parse(yield readInput(opts._[1]), {});
+		const pnodes = query.filter(pdoc, { recursive: opts.recursive !== false });
+		const result = yield Promise.all(pnodes.map(query.describe));
+		return JSON.stringify(result, null, 2);
+	}),
+	transform: Promise.async(function *(parser, opts) {
+		if (!opts._[0]) {
+			throw new Error('Missing script for transform');
+		}
+		const fn = require(path.resolve(opts._[0]));
+		const selser = opts.selser !== false;
+		const pdoc = yield parser.parse(yield readInput(opts._[1]), { selser });
+		yield fn(pdoc, Parsoid);
+		return (yield pdoc.toWikitext({ selser }));
+	}),
+	serve: function(parser, opts) {
+		const port = opts.port === undefined ? 8000 : +opts.port;
+		return new Promise((resolve, reject) => {
+			server.createServer({ parser }).listen(port, opts.host, function() {
+				const addr = this.address();
+				process.stderr.write('parsoid-jsapi: listening on ' +
+					addr.address + ':' + addr.port + '\n');
+				resolve();
+			}).on('error', reject);
+		});
+	},
+};
+
+const main = Promise.async(function *(args) {
+	const opts = parseArgs(args);
+	const command = opts._.shift();
+	if (opts.help || !command) {
+		process.stdout.write(USAGE);
+		return;
+	}
+	if (!commands.hasOwnProperty(command)) {
+		throw new Error('Unknown command: ' + command + '\n\n' + USAGE);
+	}
+	const parser = Parsoid.createParser(parserOptions(opts));
+	const out = yield commands[command](parser, opts);
+	if (typeof out === 'string') {
+		process.stdout.write(/\n$/.test(out) ? out : out + '\n');
+	}
+});
+
+main(process.argv.slice(2)).catch((err) => {
+	process.stderr.write('parsoid-jsapi: ' + (err.message || err) + '\n');
+	process.exitCode = 1;
+});
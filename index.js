@@ -3,9 +3,15 @@
 require('parsoid/core-upgrade.js');
 
 var parseJs = require('parsoid/lib/parse.js');
+var DU = require('parsoid/lib/utils/DOMUtils.js').DOMUtils;
+var MWParserEnvironment = require('parsoid/lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var ParsoidConfig = require('parsoid/lib/config/ParsoidConfig.js').ParsoidConfig;
+var Promise = require('parsoid/lib/utils/promise.js');
 
 var json = require('./package.json');
 var JsApi = require('./jsapi.js');
+var MockApi = require('./mockapi.js').MockApi;
+var xmldump = require('./xmldump.js');
 
 /**
  * Main entry point for Parsoid's JavaScript API.
@@ -29,6 +35,90 @@ var Parsoid = module.exports = {
 	version: json.version,
 };
 
+// Helper: the numbered sections in the given document or node.
+var numberedSections = function(node) {
+	var sections = Array.from(node.querySelectorAll('section[data-mw-section-id]'));
+	if (node.nodeName === 'SECTION' && node.hasAttribute('data-mw-section-id')) {
+		sections.unshift(node);
+	}
+	return sections.filter(function(s) {
+		return +s.getAttribute('data-mw-section-id') >= 0;
+	});
+};
+
+// Helper: renumber the sections of `doc`, which was parsed from the
+// wikitext of the section with id `sectionId`.
+var renumberSections = function(doc, sectionId) {
+	numberedSections(doc).forEach(function(s) {
+		var id = +s.getAttribute('data-mw-section-id');
+		if (id > 0) {
+			s.setAttribute('data-mw-section-id', String(id + Math.max(sectionId - 1, 0)));
+		} else if (sectionId > 0) {
+			// The text of a section starts with its heading, so anything
+			// before it is not part of the lead section.
+			if (s.children.length === 0 && s.textContent.trim() === '') {
+				s.parentNode.removeChild(s);
+			} else {
+				s.removeAttribute('data-mw-section-id');
+			}
+		}
+	});
+};
+
+// Mock APIs for offline parsing, keyed by the `offline` option.
+var mockApis = new WeakMap();
+var defaultOffline = {};
+// The `offline` option used to create each parser environment.
+var offlineEnvs = new WeakMap();
+// The parser session which created each parser environment.
+var sessions = new WeakMap();
+
+// Helper: the (shared) mock API for the given `offline` option.
+var mockApiFor = function(offline) {
+	if (offline instanceof MockApi) {
+		return offline;
+	}
+	if (typeof offline !== 'object') {
+		offline = defaultOffline;
+	}
+	if (!mockApis.has(offline)) {
+		mockApis.set(offline, new MockApi(offline));
+	}
+	return mockApis.get(offline);
+};
+
+// Helper: the options for the ParsoidConfig used by `Parsoid.parse`
+// and parser sessions.
+var parsoidOptionsFor = function(argv, api) {
+	return Object.assign({
+		useWorker: false,
+		addHTMLTemplateParameters: true,
+		loadWMF: !api,
+	}, api ? {
+		mwApis: [ api.apiConf ],
+		usePHPPreProcessor: false,
+		fetchImageInfo: false,
+		expandExtensions: false,
+	} : {}, argv.parsoidOptions || {});
+};
+
+// Helper: parse the templated template names in `pdoc`, which is
+// returned; see PNodeList#expandTemplateNames.
+var withNames = function(pdoc) {
+	return pdoc.expandTemplateNames().then(function() {
+		return pdoc;
+	});
+};
+
+// Helper: the options for the parser environment.
+var envOptionsFor = function(argv, api) {
+	return Object.assign({
+		domain: api ? api.domain : (argv.domain || 'en.wikipedia.org'),
+		pageName: argv.pageName,
+		wrapSections: true,
+	}, argv.envOptions || {});
+};
+
 /**
  * Parse wikitext (or html) to html (or wikitext).
  *
@@ -42,7 +132,7 @@ var Parsoid = module.exports = {
  *
  *     Parsoid.parse('{{echo|hi}}', { pdoc: true }).then(function(pdoc) {
  *        var templates = pdoc.filterTemplates();
- *        console.log(templates[0].name);
+ *        console.log(templates[0].nameText);
  *     }).done();
  *
  * @param {string} input
@@ -51,11 +141,27 @@ var Parsoid = module.exports = {
  * @param {boolean} [options.document=false]
  *    Return a DOM {@link Document} (instead of a string)
  * @param {boolean} [options.pdoc=false]
- *    Return a {@link PDoc} object (instead of a string)
+ *    Return a {@link PDoc} object (instead of a string).
+ * @param {boolean} [options.selser=false]
+ *    With `pdoc`: keep a copy of the original document in the
+ *    {@link PDoc}, so that it needn't be parsed again to serialize it
+ *    selectively; see {@link PDoc#toWikitext}.
  * @param {boolean} [options.wt2html=true]
  *    Convert wikitext to HTML.
  * @param {boolean} [options.html2wt=false]
  *    Convert HTML to wikitext.
+ * @param {boolean|Object|MockApi} [options.offline]
+ *    Parse without network access, using a {@link MockApi} in place of
+ *    the wiki's API.  Templates are expanded by Parsoid itself, using the
+ *    page sources from the mock API; images are treated as missing.
+ *    Pass `true` to use Parsoid's cached English Wikipedia configuration
+ *    with no pages, or an object with the options for the
+ *    {@link MockApi} constructor (`siteinfo`, `pages`, and `fetch`).
+ *    The mock API is shared by all parses with the same option object.
+ * @param {number} [options.sectionId]
+ *    The input wikitext is the text of the section with this id, as for
+ *    a `section=N` edit.  Sections in the result are numbered as if the
+ *    input were part of the whole page.
  * @param {ParsoidConfig} [options.parsoidConfig]
  *    A {@link ParsoidConfig} object to use during parsing.
  *    If not provided one will be constructed using `options.config`.
@@ -71,7 +177,7 @@ Parsoid.parse = function(input, options, optCb) {
 		argv.document = true;
 	}
 
-	if (argv.selser) {
+	if (argv.selser && !argv.pdoc) {
 		argv.html2wt = true;
 	}
 
@@ -80,32 +186,477 @@ Parsoid.parse = function(input, options, optCb) {
 		argv.wt2html = true;
 	}
 
-	return parseJs({
-		input: input || '',
-		mode: (
-			argv.wt2html ? 'wt2html' :
-			argv.html2wt ? 'html2wt' :
-			argv.html2html ? 'html2html' :
-			argv.wt2wt ? 'wt2wt' :
-			'<unknown mode>'
-		),
-		parsoidOptions: Object.assign({
-			useWorker: false,
-			addHTMLTemplateParameters: true,
-			loadWMF: true,
-		}, options.parsoidOptions || {}),
-		envOptions: Object.assign({
-			domain: argv.domain || 'en.wikipedia.org',
-			pageName: argv.pageName,
-			wrapSections: true,
-		}, options.envOptions || {}),
-		returnDocument: argv.pdoc || argv.document,
+	var api = argv.offline ? mockApiFor(argv.offline) : null;
+
+	return Promise.resolve(api && api.start()).then(function() {
+		return parseJs({
+			input: input || '',
+			mode: (
+				argv.wt2html ? 'wt2html' :
+				argv.html2wt ? 'html2wt' :
+				argv.html2html ? 'html2html' :
+				argv.wt2wt ? 'wt2wt' :
+				'<unknown mode>'
+			),
+			parsoidOptions: parsoidOptionsFor(argv, api),
+			envOptions: envOptionsFor(argv, api),
+			returnDocument: argv.pdoc || argv.document,
+		});
 	}).then(function(res) {
+		if (api && res.env) {
+			offlineEnvs.set(res.env, argv.offline);
+		}
+		if (argv.sectionId !== undefined && res.doc) {
+			renumberSections(res.doc, argv.sectionId);
+		}
 		// The ability to return as an HTML Document used to be in core :(
-		return argv.pdoc ? new JsApi.PDoc(res.env, res.doc) : res;
+		return argv.pdoc ?
+			withNames(new JsApi.PDoc(res.env, res.doc, { selser: argv.selser })) :
+			res;
 	}).nodify(optCb);
 };
 
+// Helper: copy the parsed template names of `pdoc2` to `pdoc`, when
+// moving nodes from one to the other.
+var adoptNames = function(pdoc, pdoc2) {
+	pdoc2._names.forEach(function(html, wt) {
+		pdoc._names.set(wt, html);
+	});
+};
+
+// Helper: options to parse wikitext in the context of the page `pdoc`.
+var contextOptions = function(pdoc, options) {
+	var env = pdoc.env;
+	return Object.assign({
+		domain: env.conf.parsoid.mwApiMap.get(env.conf.wiki.iwp).domain,
+		pageName: env.page.name,
+		offline: offlineEnvs.get(env),
+	}, options, { pdoc: true });
+};
+
+// Helper: move the contents of `pdoc2` into a PNodeList belonging to `pdoc`.
+var adoptBody = function(pdoc, pdoc2) {
+	var node = pdoc.document.adoptNode(pdoc2.document.body);
+	adoptNames(pdoc, pdoc2);
+	return new JsApi.PNodeList(pdoc, null, node);
+};
+
+// Helper: an object for one of Parsoid's caches, which are plain
+// objects.  The number of entries added to it is kept in `counts[name]`,
+// so that the cache can be bounded without counting its keys.
+var countedCache = function(counts, name) {
+	counts[name] = 0;
+	return new Proxy({}, {
+		set: function(target, key, value) {
+			if (!Object.prototype.hasOwnProperty.call(target, key)) {
+				counts[name]++;
+			}
+			target[key] = value;
+			return true;
+		},
+	});
+};
+
+/**
+ * A parser session for a single wiki, created by {@link Parsoid.createParser}.
+ * The session keeps its Parsoid configuration, the wiki's configuration
+ * (siteinfo), and its caches, so parsing many pages with one session is
+ * much faster than calling {@link Parsoid.parse} for each.
+ *
+ * There are two caches, which are shared by all parses in the session:
+ * - the source of the templates which Parsoid fetched in order to expand
+ *   them itself, as it does in `offline` mode;
+ * - the results of requests to the wiki's API, which include the
+ *   expansions of templates by the wiki.  These depend on the title of
+ *   the page, so they are only reused when the same page is parsed
+ *   again, or for fragments of it, as in {@link PNodeList.fromWikitext}.
+ *
+ * Either cache is emptied when it has more than `cacheSize` entries;
+ * call {@link #clearCaches} to empty them when templates are edited.
+ *
+ * {@link PDoc}s created by the session use it to parse wikitext
+ * fragments, for example in {@link PNodeList.fromWikitext} and
+ * {@link PDoc#replaceSectionFromWikitext}.
+ * @class
+ * @param {Object} [options]
+ *   Options like those for {@link Parsoid.parse}: `domain`, `pageName`,
+ *   `offline`, `selser`, `parsoidOptions`, and `envOptions`.
+ * @param {ParsoidConfig} [options.parsoidConfig]
+ *   A {@link ParsoidConfig} object to use, instead of constructing one
+ *   from `options.parsoidOptions`.
+ * @param {number} [options.cacheSize=10000]
+ *   The maximum number of entries in each of the caches.
+ */
+function Parser(options) {
+	/** @prop {Object} */
+	this.options = Object.assign({}, options);
+	this._api = this.options.offline ? mockApiFor(this.options.offline) : null;
+	this._config = null;
+	/**
+	 * The maximum number of entries in each of the caches.
+	 * @prop {number}
+	 */
+	this.cacheSize = this.options.cacheSize === undefined ?
+		10000 : this.options.cacheSize;
+	this.clearCaches();
+}
+
+/**
+ * Empty the caches of this session.  Parses which are in progress keep
+ * using the old caches.
+ */
+Parser.prototype.clearCaches = function() {
+	// The number of entries in each cache.
+	this._counts = {};
+	// The source of templates, shared by all of our environments.
+	this._pages = countedCache(this._counts, 'pages');
+	// The results of API requests, like template expansions, keyed by
+	// a hash of the request.  Parsoid's own `transclusionCache` is only
+	// filled from previously parsed HTML, so this is where the
+	// expansions of templates are cached.
+	this._results = countedCache(this._counts, 'results');
+};
+
+// Internal helper: a promise for our ParsoidConfig.
+Parser.prototype._parsoidConfig = function() {
+	var self = this;
+	if (!this._config) {
+		this._config = Promise.resolve(this._api && this._api.start()).then(function() {
+			return self.options.parsoidConfig ||
+				new ParsoidConfig(null, parsoidOptionsFor(self.options, self._api));
+		});
+	}
+	return this._config;
+};
+
+// Internal helper: a promise for a new parser environment.
+Parser.prototype._env = function(options) {
+	var self = this;
+	var argv = Object.assign({}, this.options, options);
+	return this._parsoidConfig().then(function(parsoidConfig) {
+		return MWParserEnvironment.getParserEnv(
+			parsoidConfig, envOptionsFor(argv, self._api)
+		);
+	}).then(function(env) {
+		if (self._counts.pages > self.cacheSize ||
+			self._counts.results > self.cacheSize) {
+			self.clearCaches();
+		}
+		env.setCaches({ pages: self._pages });
+		// Batcher#resultCache isn't part of Parsoid's API.  This relies on
+		// it being a plain object keyed by the hash of each request, as
+		// in lib/mw/Batcher.js of Parsoid 0.9 and 0.10; check it again
+		// when upgrading, since the ^0.9.0 dependency doesn't pin it.
+		env.batcher.resultCache = self._results;
+		sessions.set(env, self);
+		return env;
+	});
+};
+
+/**
+ * Parse wikitext to a {@link PDoc}.
+ * @param {string} wikitext
+ * @param {Object} [options]
+ * @param {string} [options.pageName]
+ *   The title of the page, if it isn't the one given to the session.
+ * @param {number} [options.sectionId]
+ *   See {@link Parsoid.parse}.
+ * @param {boolean} [options.selser]
+ *   Keep a copy of the original document, for selective serialization
+ *   without parsing it again; see {@link Parsoid.parse}.  The default is the `selser` option of
+ *   the session.
+ * @return {Promise}
+ *   Fulfilled by a {@link PDoc}.
+ */
+Parser.prototype.parse = function(wikitext, options) {
+	options = options || {};
+	var selser = options.selser === undefined ? this.options.selser : options.selser;
+	return this._env(options).then(function(env) {
+		env.setPageSrcInfo(wikitext || '');
+		return env.getContentHandler().toHTML(env).then(function(doc) {
+			if (options.sectionId !== undefined) {
+				renumberSections(doc, options.sectionId);
+			}
+			return withNames(new JsApi.PDoc(env, doc, { selser: selser }));
+		});
+	});
+};
+
+/**
+ * Wrap HTML conforming to the MediaWiki DOM spec in a {@link PDoc}.
+ * There is no original wikitext, so the result can't be serialized
+ * selectively.
+ * @param {string|Document} html
+ * @param {Object} [options]
+ * @param {string} [options.pageName]
+ *   The title of the page, if it isn't the one given to the session.
+ * @return {Promise}
+ *   Fulfilled by a {@link PDoc}.
+ */
+Parser.prototype.parseHTML = function(html, options) {
+	return this._env(options).then(function(env) {
+		var doc = (typeof html === 'string') ? DU.parseHTML(html) : html;
+		return withNames(new JsApi.PDoc(env, doc));
+	});
+};
+
+/**
+ * Serialize HTML to wikitext.
+ * @param {PDoc|PNodeList|PNode|Document|string} input
+ *   The HTML to serialize.  {@link PNodeList}s and {@link PNode}s are
+ *   serialized with their own `toWikitext()` method.
+ * @param {Object} [options]
+ *   Options for {@link PDoc#toWikitext}, like `selser`; or for an HTML
+ *   string or {@link Document}, `pageName`.
+ * @return {Promise}
+ *   Fulfilled by the wikitext.
+ */
+Parser.prototype.serialize = function(input, options) {
+	if (input instanceof JsApi.PNodeList || input instanceof JsApi.PNode) {
+		return input.toWikitext(options);
+	}
+	return this._env(options).then(function(env) {
+		var doc = (typeof input === 'string') ? DU.parseHTML(input) : input;
+		return env.getContentHandler().fromHTML(env, doc.body, false);
+	});
+};
+
+/**
+ * Create a {@link PNodeList} belonging to the given {@link PDoc}
+ * from a string containing wikitext, parsed by this session.
+ * @param {PDoc} pdoc
+ *   The {@link PDoc} which will own the result.
+ * @param {string} wikitext
+ *   The wikitext to convert.
+ * @param {Object} [options]
+ *   Options for {@link Parser#parse}; by default, the wikitext is
+ *   parsed in the context of `pdoc`.
+ * @return {Promise}
+ *    Fulfilled by a {@link PNodeList} representing the given wikitext.
+ */
+Parser.prototype.fromWikitext = function(pdoc, wikitext, options) {
+	options = Object.assign({ pageName: pdoc.env.page.name }, options);
+	return this.parse(wikitext, options).then(function(pdoc2) {
+		return adoptBody(pdoc, pdoc2);
+	});
+};
+
+/**
+ * Create a parser session for a single wiki, which keeps its
+ * configuration and caches between parses.  For example:
+ * ```
+ * var parser = Parsoid.createParser({ domain: 'en.wikipedia.org' });
+ * Promise.map(titles, function(title) {
+ *     return parser.parse(sources[title], { pageName: title });
+ * });
+ * ```
+ * @param {Object} [options]
+ *   See {@link Parser}.
+ * @return {Parser}
+ */
+Parsoid.createParser = function(options) {
+	return new Parser(options);
+};
+
+// Helper: a puller (see below) for a readable object stream.
+var streamPuller = function(source) {
+	var ended = false;
+	var failed = null;
+	var waiting = [];
+	var wake = function() {
+		var w = waiting;
+		waiting = [];
+		w.forEach(function(f) { f(); });
+	};
+	var events = [ 'readable', 'end', 'error' ];
+	var listeners = {};
+	events.forEach(function(event) {
+		listeners[event] = function(err) {
+			if (event === 'end') {
+				ended = true;
+			} else if (event === 'error') {
+				failed = err;
+			}
+			if (event !== 'readable') {
+				// Nothing more will be read; stop listening.
+				events.forEach(function(e) {
+					source.removeListener(e, listeners[e]);
+				});
+			}
+			wake();
+		};
+		source.on(event, listeners[event]);
+	});
+	return function() {
+		return new Promise(function(resolve, reject) {
+			var attempt = function() {
+				if (failed) {
+					return reject(failed);
+				}
+				var value = source.read();
+				if (value !== null) {
+					return resolve({ value: value, done: false });
+				}
+				if (ended) {
+					return resolve({ value: undefined, done: true });
+				}
+				waiting.push(attempt);
+			};
+			attempt();
+		});
+	};
+};
+
+// Helper: a function which returns a promise for the next item from
+// `source`, which is an iterable, an async iterable, or a readable object
+// stream, in the form `{ value, done }`.  If `source` isn't one of these,
+// the promise is rejected.
+var puller = function(source) {
+	var pull = null;
+	return function() {
+		return Promise.resolve().then(function() {
+			if (pull) {
+				return pull();
+			}
+			if (typeof source.read === 'function' && typeof source.on === 'function') {
+				pull = streamPuller(source);
+				return pull();
+			}
+			var iterator = (typeof Symbol.asyncIterator === 'symbol' &&
+				typeof source[Symbol.asyncIterator] === 'function') ?
+				source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+			pull = function() { return iterator.next(); };
+			return pull();
+		});
+	};
+};
+
+// Helper: reject `promise` if it isn't settled within `ms` milliseconds.
+var withTimeout = function(promise, ms, what) {
+	if (!ms) {
+		return promise;
+	}
+	return new Promise(function(resolve, reject) {
+		var timer = setTimeout(function() {
+			reject(new Error('Timed out after ' + ms + 'ms: ' + what));
+		}, ms);
+		promise.then(function(v) {
+			clearTimeout(timer);
+			resolve(v);
+		}, function(err) {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+};
+
+/**
+ * Parse many pages of a single wiki, with a {@link Parser} session.
+ * Pages are read from `pages` as they are needed, so it can be a stream
+ * of a large XML dump (see {@link DumpReader}), and at most
+ * `options.concurrency` pages are parsed at a time.
+ *
+ * `fn` is invoked as `fn(err, pdoc, page)` for each page, with the
+ * {@link PDoc} for the page, or with the error if the page couldn't be
+ * parsed; it may return a {@link Promise}.  A page which fails doesn't
+ * stop the others from being parsed.  For example:
+ * ```
+ * Parsoid.parseMany(Parsoid.readDump('dump.xml'), {}, function(err, pdoc, page) {
+ *     if (!err) { console.log(page.title, pdoc.filterTemplates().length); }
+ * }).then(function(summary) {
+ *     console.log(summary.parsed + ' parsed, ' + summary.failed + ' failed');
+ * });
+ * ```
+ * @param {Iterable|AsyncIterable|stream.Readable} pages
+ *   The pages to parse, as objects with `title` and `wikitext` properties.
+ * @param {Object} [options]
+ *   Options for {@link Parsoid.createParser}, and:
+ * @param {Parser} [options.parser]
+ *   The parser session to use, instead of creating one.
+ * @param {number} [options.concurrency=4]
+ *   The maximum number of pages to parse at a time.
+ * @param {number} [options.timeout]
+ *   The time limit to parse a page, in milliseconds.  Parsoid can't stop
+ *   a parse which times out: it is reported as a failure right away, but
+ *   it still counts towards `options.concurrency` until it finishes, or
+ *   for at most another `options.timeout` milliseconds.  After that it is
+ *   abandoned, and the result doesn't wait for it.
+ * @param {Function} [fn]
+ *   Invoked for each page, as described above.
+ * @return {Promise}
+ *   Fulfilled when all the pages have been parsed, by a summary object
+ *   with properties `parsed` (the number of pages parsed), `failed`
+ *   (the number of pages which failed), and `errors` (an array of
+ *   `{ page, error }` objects, for the pages which failed).  Rejected if
+ *   `pages` can't be read, or isn't iterable.
+ */
+Parsoid.parseMany = function(pages, options, fn) {
+	if (typeof options === 'function') {
+		fn = options;
+		options = {};
+	}
+	options = options || {};
+	var parser = options.parser || Parsoid.createParser(options);
+	var concurrency = Math.max(1, options.concurrency || 4);
+	var next = puller(pages);
+	var summary = { parsed: 0, failed: 0, errors: [] };
+
+	var handle = function(page) {
+		var parse = Promise.resolve().then(function() {
+			return parser.parse(page.wikitext, { pageName: page.title });
+		});
+		return withTimeout(parse, options.timeout, page.title).then(function(pdoc) {
+			return { pdoc: pdoc, error: null };
+		}, function(err) {
+			return { pdoc: null, error: err };
+		}).then(function(res) {
+			return Promise.resolve().then(function() {
+				return fn && fn(res.error, res.pdoc, page);
+			}).then(function() {
+				if (res.error) { throw res.error; }
+				summary.parsed++;
+			});
+		}).catch(function(err) {
+			summary.failed++;
+			summary.errors.push({ page: page, error: err });
+		}).then(function() {
+			// A parse which timed out is still running; don't start
+			// another one in its place until it is done, or has had as
+			// long again.  Then it is abandoned, so that a page which
+			// never finishes can't hold up the others.
+			return withTimeout(parse, options.timeout, page.title)
+				.catch(function() {});
+		});
+	};
+	var worker = function() {
+		return next().then(function(item) {
+			if (!item.done) {
+				return handle(item.value).then(worker);
+			}
+		});
+	};
+	var workers = [];
+	for (var i = 0; i < concurrency; i++) {
+		workers.push(worker());
+	}
+	return Promise.all(workers).then(function() {
+		return summary;
+	});
+};
+
+// Helper: parse wikitext in the context of the page `pdoc`, using the
+// parser session which created it, if any.
+var parseInContext = function(pdoc, wikitext, options) {
+	var session = sessions.get(pdoc.env);
+	if (session) {
+		return session.parse(wikitext, Object.assign({
+			pageName: pdoc.env.page.name,
+			selser: false,
+		}, options));
+	}
+	return Parsoid.parse(wikitext, contextOptions(pdoc, options));
+};
+
 // Add a helper method to PNodeList, based on Parsoid.parse.
 
 /**
@@ -116,20 +667,128 @@ Parsoid.parse = function(input, options, optCb) {
  * @param {string} wikitext
  *   The wikitext to convert.
  * @param {Object} options
- *   Options which are passed to {@link Parsoid#parse}.
+ *   Options which are passed to {@link Parsoid#parse}.  By default the
+ *   wikitext is parsed in the context of `pdoc`.
  * @return {Promise}
  *    Fulfilled by a {@link PNodeList} representing the given wikitext.
  * @static
  */
 JsApi.PNodeList.fromWikitext = function(pdoc, wikitext, options) {
-	options = Object.assign({}, options, { pdoc: true });
-	return Parsoid.parse(wikitext, options).then(function(pdoc2) {
-		var node = pdoc.document.adoptNode(pdoc2.document.body);
-		return new JsApi.PNodeList(pdoc, null, node);
+	return parseInContext(pdoc, wikitext, options).then(function(pdoc2) {
+		return adoptBody(pdoc, pdoc2);
+	});
+};
+
+/**
+ * Replace a single section of this page (including its subsections)
+ * with the given wikitext, as for a `section=N` edit.  The wikitext is
+ * parsed in the context of this page, and the ids of the following
+ * sections are adjusted to match.
+ * @param {number|string} id
+ *   The section id, or the text of the section heading.
+ * @param {string} wikitext
+ *   The new wikitext of the section, usually starting with its heading.
+ * @param {Object} [options]
+ *   Options which are passed to {@link Parsoid#parse}.
+ * @return {Promise}
+ *   Fulfilled by an array of the new top-level {@link PSection}s, or
+ *   rejected if there is no such section.
+ */
+JsApi.PDoc.prototype.replaceSectionFromWikitext = function(id, wikitext, options) {
+	var pdoc = this;
+	var section = pdoc.getSection(id);
+	if (section === null || section.sectionId === null || section.sectionId < 0) {
+		return Promise.reject(new Error('Section not found: ' + id));
+	}
+	options = Object.assign({}, options, { sectionId: section.sectionId });
+	return parseInContext(pdoc, wikitext, options).then(function(pdoc2) {
+		var body = pdoc.document.adoptNode(pdoc2.document.body);
+		var nodes = Array.from(body.childNodes);
+		adoptNames(pdoc, pdoc2);
+		var oldIds = numberedSections(section.node).map(function(s) {
+			return +s.getAttribute('data-mw-section-id');
+		});
+		var last = Math.max.apply(null, oldIds);
+		var delta = numberedSections(body).length - oldIds.length;
+		numberedSections(pdoc.document).forEach(function(s) {
+			var sid = +s.getAttribute('data-mw-section-id');
+			if (sid > last) {
+				s.setAttribute('data-mw-section-id', String(sid + delta));
+			}
+		});
+		nodes.forEach(function(n) {
+			section.node.parentNode.insertBefore(n, section.node);
+		});
+		section.remove();
+		return nodes.filter(function(n) {
+			return n.nodeName === 'SECTION';
+		}).map(function(n) {
+			return new JsApi.PSection(pdoc, pdoc, n);
+		});
+	});
+};
+
+/**
+ * Return a promise for {@link PDoc#original}, parsing the original
+ * wikitext of this page again if the page wasn't parsed with the
+ * `selser` option.
+ * @param {Object} [options]
+ *   Options which are passed to {@link Parsoid#parse}.
+ * @return {Promise}
+ *   Fulfilled by a {@link PDoc}.
+ */
+JsApi.PDoc.prototype.loadOriginal = function(options) {
+	var pdoc = this;
+	if (pdoc._originalHtml !== null || pdoc.originalWikitext === null) {
+		return Promise.try(function() { return pdoc.original; });
+	}
+	return parseInContext(pdoc, pdoc.originalWikitext, options).then(function(pdoc2) {
+		pdoc._originalHtml = pdoc2.document.body.outerHTML;
+		return pdoc.original;
+	});
+};
+
+/**
+ * Check that an edit to this page does what was intended before saving
+ * it.  The document is serialized (selectively) to wikitext, which is
+ * parsed again and compared to the original page and to this document
+ * using {@link PDoc#changesFrom}.
+ *
+ * The report has the properties:
+ * - `wikitext`: the wikitext to save.
+ * - `changes`: the templates, links, categories, and sections which the
+ *   edit adds, removes, or changes, compared to the original page.
+ * - `unexpected`: the differences between the reparsed wikitext and this
+ *   document; these are changes which were not made to this document,
+ *   or which did not survive serialization.
+ * - `ok`: `true` if there were no unexpected changes.
+ * @param {Object} [options]
+ *   Options which are passed to {@link Parsoid#parse}.
+ * @return {Promise}
+ *   Fulfilled by the report.
+ */
+JsApi.PDoc.prototype.verifyEdit = function(options) {
+	var pdoc = this;
+	var wikitext;
+	return pdoc.toWikitext({ selser: true }).then(function(wt) {
+		wikitext = wt;
+		return parseInContext(pdoc, wt, options);
+	}).then(function(reparsed) {
+		var unexpected = reparsed.changesFrom(pdoc);
+		return {
+			wikitext: wikitext,
+			changes: reparsed.changesFrom(pdoc.original),
+			unexpected: unexpected,
+			ok: unexpected.length === 0,
+		};
 	});
 };
 
 // Expose other helpful objects.
+Parsoid.MockApi = MockApi;
+Parsoid.Parser = Parser;
+Parsoid.DumpReader = xmldump.DumpReader;
+Parsoid.readDump = xmldump.readDump;
 Object.keys(JsApi).forEach(function(k) {
 	Parsoid[k] = JsApi[k];
 });
@@ -8,14 +8,12 @@
 
 require('parsoid/core-upgrade.js');
 
-// TO DO:
-// extension
-// PExtLink#url PWikiLink#title should handle mw:ExpandedAttrs
-
 const DOMImpl = require('domino').impl;
 const { Node, NodeFilter } = DOMImpl;
+const EventEmitter = require('events');
 const DU = require('parsoid/lib/utils/DOMUtils.js').DOMUtils;
 const Promise = require('parsoid/lib/utils/promise.js');
+const Util = require('parsoid/lib/utils/Util.js').Util;
 
 // Note that the JSAPI exposes data-mw directly as a DOM attribute to
 // allow clients to easily edit it.
@@ -26,7 +24,9 @@ const wts = Promise.async(function *(env, nodes) {
 	if (nodes.length === 0) {
 		return '';
 	} else if (nodes.length === 1 && DU.isBody(nodes[0])) {
-		body = nodes[0];
+		// Serialization strips the data attributes, so don't serialize
+		// the document in place.
+		body = nodes[0].cloneNode(true);
 	} else {
 		body = nodes[0].ownerDocument.createElement('body');
 		for (var i = 0; i < nodes.length; i++) {
@@ -36,6 +36,24 @@ const wts = Promise.async(function *(env, nodes) {
 	return (yield env.getContentHandler().fromHTML(env, body, false));
 });
 
+// Selective serialization helper: reuse the original wikitext `src`
+// for the regions of `body` which are unchanged from the DOM originally
+// parsed from it, given as `origHtml`.  Parsoid's DOMDiff finds the
+// changed regions.
+const wtsSelser = Promise.async(function *(env, body, src, origHtml) {
+	const page = env.page;
+	const oldSrc = page.src;
+	page.src = src;
+	page.dom = DU.parseHTML(origHtml).body;
+	try {
+		const edited = DU.parseHTML(body.outerHTML).body;
+		return (yield env.getContentHandler().fromHTML(env, edited, true));
+	} finally {
+		page.src = oldSrc;
+		page.dom = null;
+	}
+});
+
 // toString helper
 const toStringHelper = function(nodes, sizeLimit) {
 	let out;
@@ -77,11 +95,466 @@ const toHtmlStr = function(node, v) {
 		return div.innerHTML;
 	} else if (v instanceof PNodeList) {
 		return v.container.innerHTML;
-	} else {
+	} else if (v instanceof PNode) {
+		const div = node.ownerDocument.createElement('div');
+		v._domNodes().forEach((n) => { div.appendChild(n.cloneNode(true)); });
+		return div.innerHTML;
+	} else if (v.nodeType === Node.ELEMENT_NODE) {
 		return v.outerHTML;
+	} else {
+		// A text node, comment, or document fragment.
+		const div = node.ownerDocument.createElement('div');
+		div.appendChild(v.cloneNode(true));
+		return div.innerHTML;
+	}
+};
+
+// Helper: convert a String, Node, PNode, or PNodeList into an array of
+// fresh DOM nodes belonging to the same document as `node`.
+const toDomNodes = function(node, v) {
+	const div = node.ownerDocument.createElement('div');
+	div.innerHTML = toHtmlStr(div, v);
+	return Array.from(div.childNodes);
+};
+
+// Helper: is `target` a DOM node belonging to the same encapsulated
+// content (template or extension output) as `node`?
+const sameAbout = function(node, target) {
+	return DU.isElt(target) && node.hasAttribute('about') &&
+		target.getAttribute('about') === node.getAttribute('about');
+};
+
+
+// Helper: compile a CSS selector, which may include the non-standard
+// `COMMENT` and `TEXT` selectors, into a function testing a DOM node.
+const compileSelector = function(selector) {
+	const parts = selector.split(',').map(s => s.trim());
+	const comment = parts.indexOf('COMMENT') >= 0;
+	const text = parts.indexOf('TEXT') >= 0;
+	const rest = parts.filter(s => s !== 'COMMENT' && s !== 'TEXT').join(',');
+	return function(node) {
+		switch (node.nodeType) {
+			case Node.COMMENT_NODE: return comment;
+			case Node.TEXT_NODE: return text;
+			case Node.ELEMENT_NODE: return rest !== '' && node.matches(rest);
+			default: return false;
+		}
+	};
+};
+
+// Helper: is `pnode` a template, extension, etc, whose contents are
+// generated from its data-mw, rather than ordinary DOM content?
+const isEncapsulated = function(pnode) {
+	return pnode instanceof PTransclusion || pnode instanceof PTemplateArg ||
+		pnode instanceof PExtension;
+};
+
+// Helper: advance `treeWalker` to the next node in document order,
+// skipping over all descendants of its current node.
+const nextSkippingChildren = function(treeWalker) {
+	do {
+		const next = treeWalker.nextSibling();
+		if (next) { return next; }
+	} while (treeWalker.parentNode());
+	return null;
+};
+
+// Helper: the options for PNodeList#walk used by the iterXxx methods
+// for `types`.  Unlike walk(), they return elements in the output of
+// templates by default, as they did when they were implemented with
+// querySelectorAll; but not text or comments there, which weren't
+// returned before either.
+const iterOpts = function(opts, types, predicate) {
+	const textual = types.every(Ty => Ty === PText || Ty === PComment);
+	const result = Object.assign({ generated: !textual }, opts, { types });
+	if (predicate) { result.predicate = predicate; }
+	return result;
+};
+
+// Helper: the inline HTML of a parsed wikitext fragment in `container`,
+// without the section and paragraph which wrap it.
+const inlineHtml = function(container) {
+	let node = container;
+	while (node.childNodes.length === 1 && DU.isElt(node.firstChild) &&
+		/^(SECTION|P)$/.test(node.firstChild.nodeName)) {
+		node = node.firstChild;
+	}
+	return node.innerHTML;
+};
+
+// Helper: the last template in `roots` (an array of PNodes and
+// PNodeLists) whose name was edited as HTML; see PTransclusion#_setTarget.
+// Since templates are found in document order, no template in its
+// name was edited as HTML.
+const lastPendingTarget = function(roots) {
+	let result = null;
+	const visit = (pnode) => {
+		if (typeof pnode._template.template.target.html === 'string') {
+			result = pnode;
+		}
+	};
+	roots.forEach((root) => {
+		if (root instanceof PNodeList) {
+			for (const pnode of root.walk({ types: [ PTransclusion ] })) {
+				visit(pnode);
+			}
+		} else {
+			if (root instanceof PTransclusion) { visit(root); }
+			result = lastPendingTarget(root._children()) || result;
+		}
+	});
+	return result;
+};
+
+// Helper: convert the template names (and parser function arguments)
+// in `roots` which were edited as HTML to wikitext, innermost first.
+const serializeTargets = Promise.async(function *(pdoc, roots) {
+	if (!pdoc._targetsEdited) { return; }
+	let t;
+	while ((t = lastPendingTarget(roots)) !== null) {
+		const div = t.ownerDocument.createElement('div');
+		div.innerHTML = t._template.template.target.html;
+		const wt = (yield wts(pdoc.env, Array.from(div.childNodes))).trim();
+		// Parse the new name again, so that its title is up to date.
+		yield t.pdoc.expandTemplateNames([ wt ]);
+		const tpl = t._template;
+		delete tpl.template.target.html;
+		t._storeTargetWt(tpl, wt);
+		t._storeTemplate(tpl);
+		t.update();
+	}
+});
+
+// Helper: an async iterator yielding the values of the synchronous
+// `iterator`.  Every so often it waits for the next turn of the event
+// loop, so that a long walk doesn't starve other tasks (like a server's
+// requests).  Written without `async function*` so that it doesn't
+// require a newer node than the rest of the code.
+const ASYNC_BATCH_SIZE = 100;
+const asyncIterator = function(iterator) {
+	let count = 0;
+	const result = {
+		next() {
+			return new Promise((resolve, reject) => {
+				const step = () => {
+					try {
+						resolve(iterator.next());
+					} catch (e) {
+						reject(e);
+					}
+				};
+				count += 1;
+				if (count % ASYNC_BATCH_SIZE === 0) {
+					setImmediate(step);
+				} else {
+					step();
+				}
+			});
+		},
+		return(value) {
+			if (typeof iterator.return === 'function') {
+				iterator.return(value);
+			}
+			return Promise.resolve({ value, done: true });
+		},
+	};
+	if (typeof Symbol.asyncIterator === 'symbol') {
+		result[Symbol.asyncIterator] = function() { return this; };
+	}
+	return result;
+};
+
+// Helpers for change events.  The DOM node which a PNode or PNodeList
+// represents, for the purposes of event listeners:
+const eventNode = function(target) {
+	return target.node || target.container || null;
+};
+// A value reported in a change event: PNodes and PNodeLists are live,
+// so report their HTML at the time of the change instead.
+const changeValue = function(v) {
+	return (v instanceof PNode || v instanceof PNodeList) ? v.toHtml() : v;
+};
+// Run `fn`, which changes `target` (setting its `property`, or updating
+// it if `property` is null), and then emit a change event if this is the
+// outermost change in progress.  Every public setter calls this.  The old
+// and new values are only read when somebody is listening.
+const reportChange = function(target, property, fn) {
+	const pdoc = target.pdoc;
+	if (!pdoc || !(pdoc._listenerCount > 0)) { return fn(); }
+	if (pdoc._change) {
+		if (property === null) { pdoc._change.targets.push(target); }
+		return fn();
+	}
+	const change = {
+		target,
+		property,
+		targets: property === null ? [ target ] : [],
+		oldValue: property === null ? undefined : changeValue(target[property]),
+	};
+	pdoc._change = change;
+	try {
+		return fn();
+	} finally {
+		pdoc._change = null;
+		// Setters which didn't call update() didn't change anything.
+		if (change.targets.length > 0) {
+			pdoc._emitChange(change, property === null ? undefined :
+				changeValue(target[property]));
+		}
+	}
+};
+
+// Helpers for text search.  Elements which don't interrupt the flow of
+// text: a phrase may span their boundaries.
+const INLINE_TAGS = new Set([
+	'A', 'ABBR', 'B', 'BDI', 'BDO', 'BIG', 'CITE', 'CODE', 'DFN', 'EM',
+	'FONT', 'I', 'KBD', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRIKE',
+	'STRONG', 'SUB', 'SUP', 'TT', 'U', 'VAR',
+]);
+// The searchable text of a PText, PHtmlEntity, or PComment.
+const segmentText = function(pnode) {
+	if (pnode instanceof PComment) { return pnode.contents; }
+	return pnode.node.textContent;
+};
+// Collect the searchable text of `list` (and, unless `opts.skipTemplates`,
+// of the templates and extensions it contains) as "runs" of adjacent
+// PText and PHtmlEntity nodes, which are searched as a unit.  Each comment
+// is a run of its own.
+const textRuns = function(list, opts, runs) {
+	let run = [];
+	const flush = () => {
+		if (run.length) { runs.push(run); }
+		run = [];
+	};
+	const visit = (parent) => {
+		const about = new Set();
+		for (let node = parent.firstChild; node; node = node.nextSibling) {
+			if (node.nodeType === Node.TEXT_NODE) {
+				run.push(new PText(list.pdoc, list, node));
+				continue;
+			}
+			if (node.nodeType === Node.COMMENT_NODE) {
+				flush();
+				if (!opts.skipComments) {
+					run.push(new PComment(list.pdoc, list, node));
+					flush();
+				}
+				continue;
+			}
+			if (
+				node.nodeType !== Node.ELEMENT_NODE ||
+				about.has(node.getAttribute('about'))
+			) {
+				continue;
+			}
+			const pnodes = list._pnodesForNode(node);
+			const pnode = pnodes[0];
+			if (pnode instanceof PHtmlEntity) {
+				run.push(pnode);
+			} else if (isEncapsulated(pnode)) {
+				flush();
+				if (node.hasAttribute('about')) {
+					about.add(node.getAttribute('about'));
+				}
+				if (!opts.skipTemplates) {
+					pnodes.forEach((p) => {
+						p._dataMwChildren().forEach(c => textRuns(c, opts, runs));
+					});
+				}
+			} else if (
+				(pnode instanceof PWikiLink || pnode instanceof PExtLink) &&
+				opts.skipLinks
+			) {
+				flush();
+			} else if (
+				INLINE_TAGS.has(node.nodeName) &&
+				(pnode.constructor === PTag || pnode instanceof PWikiLink ||
+					pnode instanceof PExtLink)
+			) {
+				visit(node);
+			} else {
+				flush();
+				visit(node);
+				flush();
+			}
+		}
+	};
+	visit(list.container);
+	flush();
+	return runs;
+};
+// Find the (non-empty) matches of `pattern` in each of the given runs.
+const findInRuns = function(runs, pattern) {
+	const re = (pattern instanceof RegExp) ?
+		new RegExp(pattern.source, pattern.flags.replace('g', '') + 'g') :
+		new RegExp(String(pattern).replace(/[\\^$.*+?()[\]{}|]/g, '\\$&'), 'g');
+	const result = [];
+	runs.forEach((run) => {
+		const texts = run.map(segmentText);
+		const text = texts.join('');
+		re.lastIndex = 0;
+		let m;
+		while ((m = re.exec(text)) !== null) {
+			if (m[0].length === 0) {
+				re.lastIndex++;
+				continue;
+			}
+			const start = m.index;
+			const end = start + m[0].length;
+			const ranges = [];
+			let offset = 0;
+			run.forEach((pnode, i) => {
+				const s = Math.max(start, offset) - offset;
+				const e = Math.min(end, offset + texts[i].length) - offset;
+				if (s < e) { ranges.push({ pnode, start: s, end: e }); }
+				offset += texts[i].length;
+			});
+			result.push({ text: m[0], match: m, ranges });
+		}
+	});
+	return result;
+};
+// Expand `$&`, `$1`, `$<name>`, and `$$` in a replacement string, as
+// `String#replace` does.
+const expandReplacement = function(replacement, m) {
+	return replacement.replace(/\$(\$|&|\d\d?|<([^>]*)>)/g, (all, what, name) => {
+		if (what === '$') { return '$'; }
+		if (what === '&') { return m[0]; }
+		if (name !== undefined) {
+			return (m.groups && m.groups[name] !== undefined) ? m.groups[name] : '';
+		}
+		let n = +what;
+		if (n >= m.length && what.length > 1) {
+			// `$12` with only one group is `$1` followed by `2`.
+			n = +what[0];
+			if (n > 0 && n < m.length) { return (m[n] || '') + what[1]; }
+			return all;
+		}
+		if (n === 0 || n >= m.length) { return all; }
+		return m[n] || '';
+	});
+};
+// Remove the text `node` from `list`, along with any inline formatting
+// elements which are left empty.
+const removeText = function(list, node) {
+	let parent = node.parentNode;
+	parent.removeChild(node);
+	while (
+		parent !== list.container && !parent.firstChild &&
+		INLINE_TAGS.has(parent.nodeName) && parent.nodeName !== 'A' &&
+		!parent.hasAttribute('typeof') && !parent.hasAttribute('about')
+	) {
+		const grandparent = parent.parentNode;
+		grandparent.removeChild(parent);
+		parent = grandparent;
 	}
 };
 
+// Helpers for toPlainText.  Elements which start a new paragraph, or
+// a new line:
+const PARAGRAPH_TAGS = new Set([
+	'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'CAPTION', 'CENTER',
+	'DIV', 'DL', 'FIGCAPTION', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+	'HEADER', 'HR', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'UL',
+]);
+const LINE_TAGS = new Set([ 'BR', 'DD', 'DT', 'LI', 'TR' ]);
+// Should `node` (and its contents) be left out of the plain text?
+const plainTextSkips = function(node, opts) {
+	if (node.matches('link,meta,script,style,' + PMedia._selector)) {
+		return true;
+	}
+	if (node.matches('[typeof~="mw:Extension/ref"],[typeof~="mw:Extension/references"]')) {
+		return !opts.references;
+	}
+	if (node.matches(PTransclusion._selector + ',' + PTemplateArg._selector)) {
+		return !opts.templates;
+	}
+	if (node.matches(PTable._selector)) {
+		return !opts.tables;
+	}
+	if (node.matches(PHeading._selector)) {
+		return !opts.headings;
+	}
+	if (node.matches(PWikiLink._selector + ',' + PExtLink._selector)) {
+		return !opts.links;
+	}
+	return false;
+};
+// Append the text of `node` to `parts`.  Line and paragraph breaks are
+// represented by the number of newlines they need, and preformatted
+// text, whose white space is kept, by a `{ pre }` object.
+const plainTextParts = function(node, opts, parts, pre) {
+	if (node.nodeType === Node.TEXT_NODE) {
+		parts.push(pre ? { pre: node.data } : node.data.replace(/\s+/g, ' '));
+		return;
+	}
+	if (node.nodeType !== Node.ELEMENT_NODE) {
+		return;
+	}
+	const name = node.nodeName;
+	const brk = PARAGRAPH_TAGS.has(name) ? 2 : LINE_TAGS.has(name) ? 1 :
+		(name === 'TD' || name === 'TH') ? ' ' : null;
+	if (brk !== null) { parts.push(brk); }
+	const about = new Set();
+	for (let child = node.firstChild; child; child = child.nextSibling) {
+		if (child.nodeType === Node.ELEMENT_NODE) {
+			if (about.has(child.getAttribute('about'))) { continue; }
+			if (plainTextSkips(child, opts)) {
+				if (child.hasAttribute('about')) {
+					about.add(child.getAttribute('about'));
+				}
+				continue;
+			}
+		}
+		plainTextParts(child, opts, parts, pre || name === 'PRE');
+	}
+	if (brk !== null) { parts.push(brk); }
+};
+// Render the given DOM nodes as plain text.  The nodes themselves are
+// always included; the options only apply to their contents.
+const plainText = function(nodes, opts) {
+	opts = Object.assign({
+		links: true,
+		templates: false,
+		references: false,
+		tables: false,
+		headings: true,
+	}, opts);
+	const parts = [];
+	nodes.forEach(n => plainTextParts(n, opts, parts, false));
+	let result = '';
+	let pending = 0;
+	// Whether a space is needed before the next text.
+	let space = false;
+	parts.forEach((p) => {
+		if (typeof p === 'number') {
+			pending = Math.max(pending, p);
+			return;
+		}
+		const text = typeof p === 'string' ? p : p.pre;
+		if (typeof p === 'string' && !/\S/.test(text)) {
+			// Whitespace between blocks doesn't count.
+			if (text !== '' && pending === 0) { space = true; }
+			return;
+		}
+		if (pending > 0) {
+			if (result !== '') { result += '\n'.repeat(pending); }
+			pending = 0;
+			space = false;
+		}
+		if (typeof p !== 'string') {
+			result += text;
+			space = false;
+			return;
+		}
+		if ((space || text[0] === ' ') && result !== '' && !/\n$/.test(result)) {
+			result += ' ';
+		}
+		result += text.trim();
+		space = text[text.length - 1] === ' ';
+	});
+	return result.replace(/\n+$/, '');
+};
 
 /**
  * The PNodeList class wraps a collection of DOM {@link Node}s.
@@ -130,294 +603,843 @@ class PNodeList {
 	 * automatically call {@link #update} for you when required.
 	 */
 	update() {
-		this._cachedPNodes = null;
-		if (this._update) { this._update(); }
-		if (this.parent) { this.parent.update(); }
+		reportChange(this, null, () => {
+			this._cachedPNodes = null;
+			if (this._update) { this._update(); }
+			if (this.parent) { this.parent.update(); }
+		});
+	}
+
+	/**
+	 * Register a `listener` for `"change"` events, which are emitted
+	 * after any of the nodes in this {@link PNodeList} is changed, either
+	 * by the mutation methods and setters of the API, or by direct DOM
+	 * manipulation followed by a call to {@link #update}.
+	 * The listener is invoked with an object with the properties:
+	 * - `target`: the {@link PNode} or {@link PNodeList} which changed.
+	 * - `node`: the DOM {@link Node} of the target.
+	 * - `property`: the name of the property which was assigned, or
+	 *   `null` for other changes.
+	 * - `oldValue`, `newValue`: the value of the property before and after
+	 *   the assignment.  {@link PNode}s and {@link PNodeList}s are reported
+	 *   as HTML strings.
+	 * @param {string} event The name of the event, `"change"`.
+	 * @param {Function} listener
+	 * @return {PNodeList} This object, for chaining.
+	 */
+	on(event, listener) {
+		this.pdoc._addListener(eventNode(this), event, listener);
+		return this;
+	}
+
+	/**
+	 * Remove a `listener` registered with {@link #on}.
+	 * @param {string} event The name of the event, `"change"`.
+	 * @param {Function} listener
+	 * @return {PNodeList} This object, for chaining.
+	 */
+	off(event, listener) {
+		this.pdoc._removeListener(eventNode(this), event, listener);
+		return this;
 	}
 
 	_querySelectorAll(selector) {
-		const tweakedSelector = ',' + selector + ',';
-		if (!(/,(COMMENT|TEXT),/.test(tweakedSelector))) {
-			// Use fast native querySelectorAll
-			return Array.from(this.container.querySelectorAll(selector));
+		return Array.from(this.container.querySelectorAll(selector));
+	}
+
+	_templatesForNode(node) {
+		// each Transclusion node could represent multiple templates.
+		const parent = this;
+		const result = [];
+		const parts = DU.getJSONAttribute(node, 'data-mw', {}).parts || [];
+		parts.forEach((part, i) => {
+			if (part.template) {
+				const Ty = part.template.target.function !== undefined ?
+					PParserFunction : PTemplate;
+				result.push(new Ty(parent.pdoc, parent, node, i));
+			} else if (part.templatearg) {
+				result.push(new PTemplateArg(parent.pdoc, parent, node, i));
+			}
+		});
+		return result;
+	}
+
+	/**
+	 * Internal helper: wrap a single DOM {@link Node} belonging to this
+	 * list in the appropriate {@link PNode} subclass(es).  Note that a
+	 * single transclusion {@link Node} may represent multiple templates.
+	 * @private
+	 * @param {Node} node
+	 * @return {PNode[]}
+	 */
+	_pnodesForNode(node) {
+		if (node.nodeType === Node.TEXT_NODE) {
+			return [ new PText(this.pdoc, this, node) ];
 		}
-		// Implement comment/text node selector the hard way
-		/* eslint-disable no-bitwise */
-		let whatToShow = NodeFilter.SHOW_ELEMENT; // always show templates
-		if (/,COMMENT,/.test(tweakedSelector)) {
-			whatToShow |= NodeFilter.SHOW_COMMENT;
+		if (node.nodeType === Node.COMMENT_NODE) {
+			return [ new PComment(this.pdoc, this, node) ];
 		}
-		if (/,TEXT,/.test(tweakedSelector)) {
-			whatToShow |= NodeFilter.SHOW_TEXT;
+		if (node.nodeType === Node.ELEMENT_NODE) {
+			if (node.matches(PTransclusion._selector + ',' + PTemplateArg._selector)) {
+				return this._templatesForNode(node);
+			}
+			// PTag is the catch-all; it should always be last.
+			const which = [
+				PBehaviorSwitch, PCategory, PExtension, PExtLink, PHeading,
+				PHtmlEntity, PLanguageLink, PList, PListItem, PMedia,
+				PPageProperty, PRedirect, PSection, PTable, PWikiLink,
+				PTag,
+			];
+			for (let j = 0; j < which.length; j++) {
+				const Ty = which[j];
+				if (node.matches(Ty._selector)) {
+					return [ new Ty(this.pdoc, this, node) ];
+				}
+			}
 		}
+		// Unknown type.
+		return [ new PNode(this.pdoc, this, node) ];
+	}
+
+	/**
+	 * @private
+	 * @param {Function} test
+	 *   Function invoked as `test(pnode, ancestors)` which returns true
+	 *   if `pnode` should be yielded
+	 * @param {boolean} recursive
+	 *   Whether to recurse into templates and extensions.
+	 * @param {PNode[]} ancestors
+	 *   The templates (etc) we recursed through to reach this list.
+	 * @param {boolean} generated
+	 *   Whether to walk the DOM generated by templates and extensions.
+	 */
+	*_walk(test, recursive, ancestors, generated) {
+		// Templates and extensions can span several sibling nodes;
+		// their contents are represented by data-mw, not the DOM.
+		const about = new Set();
+		/* eslint-disable no-bitwise */
+		const whatToShow = NodeFilter.SHOW_ELEMENT |
+			NodeFilter.SHOW_COMMENT | NodeFilter.SHOW_TEXT;
 		/* eslint-enable no-bitwise */
 		const nodeFilter = (node) => {
-			if (node.nodeType !== Node.ELEMENT_NODE) {
-				return NodeFilter.FILTER_ACCEPT;
-			}
-			if (node.matches(PTemplate._selector)) {
-				return NodeFilter.FILTER_ACCEPT;
+			if (
+				node.nodeType === Node.ELEMENT_NODE &&
+				about.has(node.getAttribute('about'))
+			) {
+				return NodeFilter.FILTER_REJECT;
 			}
-			return NodeFilter.FILTER_SKIP;
+			return NodeFilter.FILTER_ACCEPT;
 		};
-		const result = [];
-		const includeTemplates =
-			/,\[typeof~="mw:Transclusion"\],/.test(tweakedSelector);
 		const treeWalker = this.pdoc.document.createTreeWalker(
 			this.container, whatToShow, nodeFilter, false
 		);
-		while (treeWalker.nextNode()) {
-			const node = treeWalker.currentNode;
-			// We don't need the extra test for ELEMENT_NODEs yet, since
-			// non-template element nodes will be skipped by the nodeFilter
-			// above. But if we ever extend filter() to be fully generic,
-			// we might need the commented-out portion of this test.
-			if (
-				node.nodeType === Node.ELEMENT_NODE /* &&
-				node.matches(PTemplate._selector) */
-			) {
-				treeWalker.lastChild(); // always skip over all children
-				if (!includeTemplates) {
-					continue; // skip template itself
+		let node = treeWalker.nextNode();
+		while (node) {
+			let skipChildren = false;
+			const pnodes = this._pnodesForNode(node);
+			for (let i = 0; i < pnodes.length; i++) {
+				const pnode = pnodes[i];
+				if (isEncapsulated(pnode) && !generated) {
+					skipChildren = true;
+					if (node.hasAttribute('about')) {
+						about.add(node.getAttribute('about'));
+					}
+				}
+				if (test(pnode, ancestors)) {
+					yield pnode;
+				}
+				if (recursive) {
+					const children = pnode._dataMwChildren();
+					for (let j = 0; j < children.length; j++) {
+						yield* children[j]._walk(
+							test, recursive, ancestors.concat([ pnode ]), generated
+						);
+					}
 				}
 			}
-			result.push(node);
+			node = skipChildren ? nextSkippingChildren(treeWalker) :
+				treeWalker.nextNode();
 		}
-		return result;
 	}
-	_templatesForNode(node) {
-		// each Transclusion node could represent multiple templates.
-		const parent = this;
-		const result = [];
-		const parts = DU.getJSONAttribute(node, 'data-mw', {}).parts || [];
-		parts.forEach((part, i) => {
-			if (part.template) {
-				result.push(new PTemplate(parent.pdoc, parent, node, i));
+
+	/**
+	 * Return a generator yielding the {@link PNode}s found in this
+	 * {@link PNodeList} which satisfy all of the given conditions, in
+	 * document order.  Unlike {@link #filter}, the document is walked
+	 * lazily, which is more efficient when only the first few matches
+	 * are needed.  For example:
+	 * ```
+	 * for (const link of pdoc.walk({ types: [ PWikiLink ] })) {
+	 *     if (link.title === 'Foo') { break; }
+	 * }
+	 * ```
+	 * See {@link #filter} for a description of the options.
+	 * @param {Object} [opts]
+	 * @param {Function|Function[]} [opts.types]
+	 * @param {string} [opts.matches]
+	 * @param {Function} [opts.predicate]
+	 * @param {boolean} [opts.recursive]
+	 * @param {boolean} [opts.generated]
+	 * @return {Generator}
+	 */
+	walk(opts) {
+		opts = opts || {};
+		const types = (opts.types === undefined || Array.isArray(opts.types)) ?
+			opts.types : [ opts.types ];
+		const selector = (opts.matches === undefined) ? null :
+			compileSelector(opts.matches);
+		const predicate = opts.predicate;
+		const test = (pnode, ancestors) => {
+			if (types && !types.some(Ty => pnode instanceof Ty)) {
+				return false;
 			}
-		});
-		return result;
+			if (selector && !selector(pnode.node)) {
+				return false;
+			}
+			return !predicate || Boolean(predicate(pnode, ancestors));
+		};
+		return this._walk(
+			test, opts.recursive !== false, [], Boolean(opts.generated)
+		);
 	}
 
 	/**
-	 * @private
-	 * @param {Array} result
-	 *   A result array to append new items to as they are found
-	 * @param {string} selector
-	 *   CSS-style selector for the nodes of interest
-	 * @param {Function} func
-	 *    Function to apply to every non-template match
+	 * Like {@link #walk}, but return an async iterator, for use with
+	 * `for await`:
+	 * ```
+	 * for await (const t of pdoc.walkAsync({ types: [ PTemplate ] })) {
+	 *     yield checkTemplate(t);
+	 * }
+	 * ```
+	 * The document is still walked synchronously, but every so often
+	 * the iterator waits for the next turn of the event loop, so that
+	 * scanning a large page doesn't block other work.  Don't mutate the
+	 * document while the walk is in progress.
+	 * See {@link #filter} for a description of the options.
+	 * @param {Object} [opts]
+	 * @return {AsyncIterator}
+	 */
+	walkAsync(opts) {
+		return asyncIterator(this.walk(opts));
+	}
+
+	/**
+	 * Return an array of the {@link PNode}s found in this
+	 * {@link PNodeList} which satisfy all of the given conditions, in
+	 * document order.  For example:
+	 * ```
+	 * pdoc.filter({
+	 *     types: [ PWikiLink ],
+	 *     predicate: (link, ancestors) => ancestors.some(
+	 *         (t) => t instanceof PTemplate && t.nameMatches('Infobox')
+	 *     ),
+	 * });
+	 * ```
+	 * @param {Object} [opts]
+	 * @param {Function|Function[]} [opts.types]
+	 *    Only return nodes which are instances of one of the given
+	 *    {@link PNode} subclasses, like {@link PTemplate}.
+	 * @param {string} [opts.matches]
+	 *    Only return nodes matching the given CSS selector.  The
+	 *    non-standard selectors `COMMENT` and `TEXT` match comment and
+	 *    text nodes, respectively.
+	 * @param {Function} [opts.predicate]
+	 *    Only return nodes for which `predicate(pnode, ancestors)` returns
+	 *    true.  The `ancestors` argument is an array of the templates,
+	 *    extensions, and media we recursed into to find `pnode`,
+	 *    outermost first.
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates and extensions.
+	 * @param {boolean} [opts.generated=false]
+	 *    Also return the nodes in the output of templates and extensions,
+	 *    like a heading produced by `{{Infobox}}`.  By default these are
+	 *    skipped, since changes to them can't be serialized; with
+	 *    `recursive`, the nodes in the template parameters are returned
+	 *    instead.  The `filterXxx` and `iterXxx` methods accept this
+	 *    option too, but for compatibility they default to returning
+	 *    generated elements (though not generated text or comments).
+	 * @return {PNode[]}
+	 */
+	filter(opts) {
+		return Array.from(this.walk(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PBehaviorSwitch} representing
+	 * behavior switches, like `__NOTOC__`, found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
 	 */
-	_filter(result, selector, func, opts) {
-		const recursive = (opts && opts.recursive) !== false;
-		let tSelector = PTemplate._selector;
-		if (selector) {
-			tSelector += ',' + selector;
-		}
-		this._querySelectorAll(tSelector).forEach((node) => {
-			const isTemplate = node.nodeType === Node.ELEMENT_NODE &&
-				node.matches(PTemplate._selector);
-			if (isTemplate) {
-				this._templatesForNode(node).forEach((t) => {
-					if (!selector) {
-						result.push(t);
-					}
-					if (recursive) {
-						t.params.forEach((k) => {
-							const td = t.get(k);
-							['key', 'value'].forEach((prop) => {
-								if (td[prop]) {
-									td[prop]._filter(result, selector, func, opts);
-								}
-							});
-						});
-					}
-				});
-			} else {
-				func(result, this, node, opts);
-			}
-		});
-		return result;
+	iterBehaviorSwitches(opts) {
+		return this.walk(iterOpts(opts, [ PBehaviorSwitch ]));
 	}
 
 	/**
-	 * Return an array of {@link PComment} representing comments
-	 * found in this {@link PNodeList}.
+	 * Return an array of {@link PBehaviorSwitch} representing behavior
+	 * switches, like `__NOTOC__`, found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PComment[]}
+	 * @return {PBehaviorSwitch[]}
 	 */
-	filterComments(opts) {
-		return this._filter([], PComment._selector, (r, parent, node) => {
-			r.push(new PComment(parent.pdoc, parent, node));
-		}, opts);
+	filterBehaviorSwitches(opts) {
+		return Array.from(this.iterBehaviorSwitches(opts));
 	}
 
 	/**
-	 * Return an array of {@link PExtLink} representing external links
+	 * Return a generator yielding {@link PCategory} representing category
+	 * links found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterCategories(opts) {
+		return this.walk(iterOpts(opts, [ PCategory ]));
+	}
+
+	/**
+	 * Return an array of {@link PCategory} representing category links
 	 * found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PExtLink[]}
+	 * @return {PCategory[]}
 	 */
-	filterExtLinks(opts) {
-		return this._filter([], PExtLink._selector, (r, parent, node) => {
-			r.push(new PExtLink(parent.pdoc, parent, node));
-		}, opts);
+	filterCategories(opts) {
+		return Array.from(this.iterCategories(opts));
 	}
 
 	/**
-	 * Return an array of {@link PHeading} representing headings
+	 * Return a generator yielding {@link PComment} representing comments
 	 * found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PHeading[]}
+	 * @return {Generator}
 	 */
-	filterHeadings(opts) {
-		return this._filter([], PHeading._selector, (r, parent, node) => {
-			r.push(new PHeading(parent.pdoc, parent, node));
-		}, opts);
+	iterComments(opts) {
+		return this.walk(iterOpts(opts, [ PComment ]));
 	}
 
 	/**
-	 * Return an array of {@link PHtmlEntity} representing HTML entities
+	 * Return an array of {@link PComment} representing comments
 	 * found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PHtmlEntity[]}
+	 * @return {PComment[]}
 	 */
-	filterHtmlEntities(opts) {
-		return this._filter([], PHtmlEntity._selector, (r, parent, node) => {
-			r.push(new PHtmlEntity(parent.pdoc, parent, node));
-		}, opts);
+	filterComments(opts) {
+		return Array.from(this.iterComments(opts));
 	}
 
 	/**
-	 * Return an array of {@link PMedia} representing images or other
-	 * media content found in this {@link PNodeList}.
+	 * Return a generator yielding {@link PExtension} representing extension tags,
+	 * like `<ref>` or `<gallery>`, found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PMedia[]}
+	 * @param {string} [opts.name]
+	 *    Only return extension tags with the given name, like `"ref"`.
+	 * @return {Generator}
 	 */
-	filterMedia(opts) {
-		return this._filter([], PMedia._selector, (r, parent, node) => {
-			r.push(new PMedia(parent.pdoc, parent, node));
-		}, opts);
+	iterExtensions(opts) {
+		const name = opts && opts.name;
+		return this.walk(iterOpts(
+			opts, [ PExtension ], ext => !name || ext.nameMatches(name)
+		));
 	}
 
 	/**
-	 * Return an array of {@link PSection} representing sections
-	 * found in this {@link PNodeList}.
+	 * Return an array of {@link PExtension} representing extension tags,
+	 * like `<ref>` or `<gallery>`, found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PSection[]}
+	 * @param {string} [opts.name]
+	 *    Only return extension tags with the given name, like `"ref"`.
+	 * @return {PExtension[]}
 	 */
-	filterSections(opts) {
-		return this._filter([], PSection._selector, (r, parent, node) => {
-			r.push(new PSection(parent.pdoc, parent, node));
-		}, opts);
+	filterExtensions(opts) {
+		return Array.from(this.iterExtensions(opts));
 	}
 
 	/**
-	 * Return an array of {@link PTemplate} representing templates
+	 * Return a generator yielding {@link PExtLink} representing external links
 	 * found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PTemplate[]}
+	 * @return {Generator}
 	 */
-	filterTemplates(opts) {
-		return this._filter([], null, null, opts);
+	iterExtLinks(opts) {
+		return this.walk(iterOpts(opts, [ PExtLink ]));
 	}
 
 	/**
-	 * Return an array of {@link PText} representing plain text
+	 * Return an array of {@link PExtLink} representing external links
 	 * found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PText[]}
+	 * @return {PExtLink[]}
 	 */
-	filterText(opts) {
-		return this._filter([], PText._selector, (r, parent, node) => {
-			r.push(new PText(parent.pdoc, parent, node));
-		}, opts);
+	filterExtLinks(opts) {
+		return Array.from(this.iterExtLinks(opts));
 	}
 
 	/**
-	 * Return an array of {@link PWikiLink} representing wiki links
+	 * Return a generator yielding {@link PHeading} representing headings
 	 * found in this {@link PNodeList}.
 	 * @param {Object} [opts]
 	 * @param {boolean} [opts.recursive]
 	 *    Set to `false` to avoid recursing into templates.
-	 * @return {PWikiLink[]}
+	 * @return {Generator}
 	 */
-	filterWikiLinks(opts) {
-		return this._filter([], PWikiLink._selector, (r, parent, node) => {
-			r.push(new PWikiLink(parent.pdoc, parent, node));
-		}, opts);
+	iterHeadings(opts) {
+		return this.walk(iterOpts(opts, [ PHeading ]));
 	}
 
 	/**
-	 * Internal list of PNodes in this list.
-	 * @prop {PNode[]}
-	 * @private
+	 * Return an array of {@link PHeading} representing headings
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PHeading[]}
 	 */
-	get pnodes() {
-		if (this._cachedPNodes !== null) {
-			return this._cachedPNodes;
-		}
-		const templates = new Set();
-		const result = [];
-		/* eslint-disable no-labels */
-		OUTER: for (let i = 0; i < this.container.childNodes.length; i++) {
-			const node = this.container.childNodes.item(i);
-			if (node.nodeType === Node.TEXT_NODE) {
-				result.push(new PText(this.pdoc, this, node));
-				continue;
-			}
-			if (node.nodeType === Node.COMMENT_NODE) {
-				result.push(new PComment(this.pdoc, this, node));
+	filterHeadings(opts) {
+		return Array.from(this.iterHeadings(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PHtmlEntity} representing HTML entities
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterHtmlEntities(opts) {
+		return this.walk(iterOpts(opts, [ PHtmlEntity ]));
+	}
+
+	/**
+	 * Return an array of {@link PHtmlEntity} representing HTML entities
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PHtmlEntity[]}
+	 */
+	filterHtmlEntities(opts) {
+		return Array.from(this.iterHtmlEntities(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PLanguageLink} representing
+	 * interlanguage links found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterLanguageLinks(opts) {
+		return this.walk(iterOpts(opts, [ PLanguageLink ]));
+	}
+
+	/**
+	 * Return an array of {@link PLanguageLink} representing interlanguage
+	 * links found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PLanguageLink[]}
+	 */
+	filterLanguageLinks(opts) {
+		return Array.from(this.iterLanguageLinks(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PList} representing lists
+	 * found in this {@link PNodeList}.  Nested lists are included.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterLists(opts) {
+		return this.walk(iterOpts(opts, [ PList ]));
+	}
+
+	/**
+	 * Return an array of {@link PList} representing lists
+	 * found in this {@link PNodeList}.  Nested lists are included.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PList[]}
+	 */
+	filterLists(opts) {
+		return Array.from(this.iterLists(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PMedia} representing images or other
+	 * media content found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterMedia(opts) {
+		return this.walk(iterOpts(opts, [ PMedia ]));
+	}
+
+	/**
+	 * Return an array of {@link PMedia} representing images or other
+	 * media content found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PMedia[]}
+	 */
+	filterMedia(opts) {
+		return Array.from(this.iterMedia(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PPageProperty} representing
+	 * the magic words `{{DEFAULTSORT:...}}` and `{{DISPLAYTITLE:...}}`
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @param {string} [opts.name]
+	 *    Only return page properties with the given name, like
+	 *    `"defaultsort"`.
+	 * @return {Generator}
+	 */
+	iterPageProperties(opts) {
+		const name = opts && opts.name;
+		return this.walk(iterOpts(
+			opts, [ PPageProperty ], pp => !name || pp.nameMatches(name)
+		));
+	}
+
+	/**
+	 * Return an array of {@link PPageProperty} representing the magic
+	 * words `{{DEFAULTSORT:...}}` and `{{DISPLAYTITLE:...}}` found in
+	 * this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @param {string} [opts.name]
+	 *    Only return page properties with the given name, like
+	 *    `"defaultsort"`.
+	 * @return {PPageProperty[]}
+	 */
+	filterPageProperties(opts) {
+		return Array.from(this.iterPageProperties(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PParserFunction} representing
+	 * parser functions and magic words, like `{{#if:...}}` or
+	 * `{{PAGENAME}}`, found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @param {string} [opts.name]
+	 *    Only return parser functions with the given name, like `"invoke"`.
+	 * @return {Generator}
+	 */
+	iterParserFunctions(opts) {
+		const name = opts && opts.name;
+		return this.walk(iterOpts(
+			opts, [ PParserFunction ], pf => !name || pf.nameMatches(name)
+		));
+	}
+
+	/**
+	 * Return an array of {@link PParserFunction} representing parser
+	 * functions and magic words, like `{{#if:...}}` or `{{PAGENAME}}`,
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @param {string} [opts.name]
+	 *    Only return parser functions with the given name, like `"invoke"`.
+	 * @return {PParserFunction[]}
+	 */
+	filterParserFunctions(opts) {
+		return Array.from(this.iterParserFunctions(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PSection} representing sections
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterSections(opts) {
+		return this.walk(iterOpts(opts, [ PSection ]));
+	}
+
+	/**
+	 * Return an array of {@link PSection} representing sections
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PSection[]}
+	 */
+	filterSections(opts) {
+		return Array.from(this.iterSections(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PTable} representing tables
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterTables(opts) {
+		return this.walk(iterOpts(opts, [ PTable ]));
+	}
+
+	/**
+	 * Return an array of {@link PTable} representing tables
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PTable[]}
+	 */
+	filterTables(opts) {
+		return Array.from(this.iterTables(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PTemplate} representing templates
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterTemplates(opts) {
+		return this.walk(iterOpts(opts, [ PTemplate ]));
+	}
+
+	/**
+	 * Return an array of {@link PTemplate} representing templates
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PTemplate[]}
+	 */
+	filterTemplates(opts) {
+		return Array.from(this.iterTemplates(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PTemplateArg} representing
+	 * template arguments, like `{{{1}}}`, found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterTemplateArgs(opts) {
+		return this.walk(iterOpts(opts, [ PTemplateArg ]));
+	}
+
+	/**
+	 * Return an array of {@link PTemplateArg} representing template
+	 * arguments, like `{{{1}}}`, found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PTemplateArg[]}
+	 */
+	filterTemplateArgs(opts) {
+		return Array.from(this.iterTemplateArgs(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PText} representing plain text
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterText(opts) {
+		return this.walk(iterOpts(opts, [ PText ]));
+	}
+
+	/**
+	 * Return an array of {@link PText} representing plain text
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PText[]}
+	 */
+	filterText(opts) {
+		return Array.from(this.iterText(opts));
+	}
+
+	/**
+	 * Return a generator yielding {@link PWikiLink} representing wiki links
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {Generator}
+	 */
+	iterWikiLinks(opts) {
+		return this.walk(iterOpts(opts, [ PWikiLink ]));
+	}
+
+	/**
+	 * Return an array of {@link PWikiLink} representing wiki links
+	 * found in this {@link PNodeList}.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.recursive]
+	 *    Set to `false` to avoid recursing into templates.
+	 * @return {PWikiLink[]}
+	 */
+	filterWikiLinks(opts) {
+		return Array.from(this.iterWikiLinks(opts));
+	}
+
+	/**
+	 * Search the text of this {@link PNodeList} for `pattern`.  Unlike
+	 * searching the {@link PText} nodes one by one, a match may span
+	 * formatting, links, and HTML entities: for example, `"bar&baz"`
+	 * is found in `'''ba'''r&amp;baz`.
+	 *
+	 * Each match is an object with the properties:
+	 * - `text`: the matched text.
+	 * - `match`: the result of `RegExp#exec`, including any groups.
+	 * - `ranges`: an array of `{ pnode, start, end }` objects, one for each
+	 *   {@link PText}, {@link PHtmlEntity}, or {@link PComment} spanned by
+	 *   the match, giving the matching part of its text.
+	 * @param {string|RegExp} pattern
+	 *   The text or regular expression to search for.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.skipTemplates=false]
+	 *   Don't search inside templates and extensions.
+	 * @param {boolean} [opts.skipLinks=false]
+	 *   Don't search the text of wiki links and external links.
+	 * @param {boolean} [opts.skipComments=false]
+	 *   Don't search the contents of comments.
+	 * @return {Object[]}
+	 */
+	findText(pattern, opts) {
+		return findInRuns(textRuns(this, opts || {}, []), pattern);
+	}
+
+	/**
+	 * Replace every match of `pattern` in the text of this
+	 * {@link PNodeList} (see {@link #findText}) with `replacement`.
+	 * The replacement text is put in the first {@link PText} spanned by
+	 * each match, and the rest of the match is removed from the
+	 * following nodes, leaving the surrounding markup intact.  For example:
+	 * ```
+	 * pdoc.replaceText(/colou?r/, 'hue', { skipLinks: true });
+	 * ```
+	 * @param {string|RegExp} pattern
+	 *   The text or regular expression to search for.
+	 * @param {string|Function} replacement
+	 *   The replacement text, which may contain `$&`, `$1`, etc as for
+	 *   `String#replace`; or a function invoked as `replacement(text, match)`
+	 *   with each match object, which returns the replacement text.
+	 * @param {Object} [opts]
+	 *   See {@link #findText}.
+	 * @return {number} The number of replacements made.
+	 */
+	replaceText(pattern, replacement, opts) {
+		const matches = this.findText(pattern, opts);
+		const lists = new Set();
+		// Work backwards, so the offsets of earlier matches remain valid.
+		for (let i = matches.length - 1; i >= 0; i--) {
+			const m = matches[i];
+			const value = (typeof replacement === 'function') ?
+				String(replacement(m.text, m)) :
+				expandReplacement(String(replacement), m.match);
+			const target = m.ranges.find(
+				r => !(r.pnode instanceof PHtmlEntity)
+			) || m.ranges[0];
+			m.ranges.forEach((r) => {
+				const list = r.pnode.parent;
+				const node = r.pnode.node;
+				const text = segmentText(r.pnode);
+				const rest = text.slice(0, r.start) +
+					(r === target ? value : '') + text.slice(r.end);
+				lists.add(list);
+				if (r.pnode instanceof PComment) {
+					node.data = DU.encodeComment(rest);
+				} else if (rest === '') {
+					removeText(list, node);
+				} else if (r.pnode instanceof PText) {
+					node.data = rest;
+				} else if (r === target) {
+					// The replacement is plain text, not an entity.
+					node.parentNode.replaceChild(
+						this.pdoc.document.createTextNode(rest), node
+					);
+				} else {
+					node.textContent = rest;
+					node.removeAttribute('data-parsoid');
+				}
+			});
+		}
+		lists.forEach(list => list.update());
+		return matches.length;
+	}
+
+	/**
+	 * Internal list of PNodes in this list.
+	 * @prop {PNode[]}
+	 * @private
+	 */
+	get pnodes() {
+		if (this._cachedPNodes !== null) {
+			return this._cachedPNodes;
+		}
+		// Note: multiple PTransclusions per Node, and possibly
+		// multiple Nodes per PTransclusion, PTemplateArg, or PExtension.
+		const about = new Set();
+		const result = [];
+		for (let i = 0; i < this.container.childNodes.length; i++) {
+			const node = this.container.childNodes.item(i);
+			if (
+				node.nodeType === Node.ELEMENT_NODE &&
+				about.has(node.getAttribute('about'))
+			) {
 				continue;
 			}
-			if (node.nodeType === Node.ELEMENT_NODE) {
-				// Note: multiple PTemplates per Node, and possibly
-				// multiple Nodes per PTemplate.
-				if (node.matches(PTemplate._selector)) {
-					templates.add(node.getAttribute('about'));
-					this._templatesForNode(node).forEach((t) => {
-						result.push(t);
-					});
-					continue;
-				} else if (templates.has(node.getAttribute('about'))) {
-					continue;
+			this._pnodesForNode(node).forEach((pnode) => {
+				if (
+					isEncapsulated(pnode) &&
+					node.hasAttribute('about')
+				) {
+					about.add(node.getAttribute('about'));
 				}
-				// PTag is the catch-all; it should always be last.
-				const which = [
-					PExtLink, PHeading, PHtmlEntity, PMedia,
-					PSection, PWikiLink,
-					PTag,
-				];
-				for (let j = 0; j < which.length; j++) {
-					const Ty = which[j];
-					if (node.matches(Ty._selector)) {
-						result.push(new Ty(this.pdoc, this, node));
-						continue OUTER;
-					}
-				}
-			}
-			// Unknown type.
-			result.push(new PNode(this.pdoc, this, node));
+				result.push(pnode);
+			});
 		}
-		/* eslint-enable no-labels */
 		return (this._cachedPNodes = result);
 	}
 
@@ -434,6 +1456,22 @@ class PNodeList {
 	 */
 	get(index) { return this.pnodes[index]; }
 
+	/**
+	 * Iterate over the nodes within the node list, so that
+	 * `for (const pnode of pnodeList) { ... }` works.
+	 * @return {Iterator}
+	 */
+	[Symbol.iterator]() { return this.pnodes[Symbol.iterator](); }
+
+	/**
+	 * Asynchronously iterate over the nodes within the node list, so
+	 * that `for await (const pnode of pnodeList) { ... }` works.  (This
+	 * is `pnodeList[Symbol.asyncIterator]()`, on versions of node which
+	 * support async iteration.)
+	 * @return {AsyncIterator}
+	 */
+	iterAsync() { return asyncIterator(this[Symbol.iterator]()); }
+
 	/**
 	 * Return the index of `target` in the list of nodes, or `-1` if
 	 * the target was not found.
@@ -476,10 +1514,143 @@ class PNodeList {
 	}
 
 	/**
-	 * Return a string representing the contents of this object
-	 * as HTML conforming to the
-	 * [MediaWiki DOM specification](https://www.mediawiki.org/wiki/Parsoid/MediaWiki_DOM_spec).
-	 * @return {string}
+	 * Internal helper: locate `target` among our nodes.  Returns the
+	 * {@link PNodeList} which directly contains the target, and the index
+	 * of the target within it.  Throws if the target can't be found.
+	 * @private
+	 * @param {number|PNode|Node|string} target
+	 * @param {Object} [options]
+	 * @param {boolean} [options.recursive=true]
+	 * @return {Object}
+	 */
+	_locate(target, options) {
+		const recursive = (options && options.recursive) !== false;
+		if (typeof target === 'number') {
+			if (target >= 0 && target < this.length) {
+				return { list: this, index: target };
+			}
+			throw new Error('Index out of range: ' + target);
+		}
+		let index = this.indexOf(target);
+		if (index >= 0) {
+			return { list: this, index: index };
+		}
+		if (recursive) {
+			index = this.indexOf(target, { recursive: true });
+			if (index >= 0) {
+				const children = this.get(index)._children();
+				for (let i = 0; i < children.length; i++) {
+					if (children[i].indexOf(target, { recursive: true }) !== -1) {
+						return children[i]._locate(target, options);
+					}
+				}
+			}
+		}
+		throw new Error('Target not found: ' + String(target));
+	}
+
+	/**
+	 * Insert `value` into this list of nodes, before the node at position
+	 * `index`.  If `index` is equal to {@link #length} the value is
+	 * appended to the end of the list.
+	 * @param {number} index
+	 * @param {string|Node|PNode|PNodeList} value
+	 *   The new content.  Strings are treated as plain text.
+	 */
+	insert(index, value) {
+		const pnodes = this.pnodes;
+		if (index < 0 || index > pnodes.length) {
+			throw new Error('Index out of range: ' + index);
+		}
+		const ref = (index < pnodes.length) ?
+			pnodes[index]._domNodes()[0] : null;
+		toDomNodes(this.container, value).forEach((n) => {
+			this.container.insertBefore(n, ref);
+		});
+		this.update();
+	}
+
+	/**
+	 * Append `value` to the end of this list of nodes.
+	 * @param {string|Node|PNode|PNodeList} value
+	 *   The new content.  Strings are treated as plain text.
+	 */
+	append(value) {
+		this.insert(this.length, value);
+	}
+
+	/**
+	 * Insert `value` immediately before `target`.
+	 *
+	 * The target may be an index, a {@link PNode} or DOM {@link Node},
+	 * or a string (matched as in {@link #indexOf}).  Unless
+	 * `options.recursive` is false, the target may also be found in
+	 * one of our descendants, in which case the new content will be
+	 * added there.  Throws an {@link Error} if the target is not found.
+	 * @param {number|PNode|Node|string} target
+	 * @param {string|Node|PNode|PNodeList} value
+	 * @param {Object} [options]
+	 * @param {boolean} [options.recursive=true]
+	 */
+	insertBefore(target, value, options) {
+		const loc = this._locate(target, options);
+		loc.list.insert(loc.index, value);
+	}
+
+	/**
+	 * Insert `value` immediately after `target`.
+	 * See {@link #insertBefore} for a description of the arguments.
+	 * @param {number|PNode|Node|string} target
+	 * @param {string|Node|PNode|PNodeList} value
+	 * @param {Object} [options]
+	 * @param {boolean} [options.recursive=true]
+	 */
+	insertAfter(target, value, options) {
+		const loc = this._locate(target, options);
+		const list = loc.list;
+		const domNodes = list.get(loc.index)._domNodes();
+		const ref = domNodes[domNodes.length - 1].nextSibling;
+		toDomNodes(list.container, value).forEach((n) => {
+			list.container.insertBefore(n, ref);
+		});
+		list.update();
+	}
+
+	/**
+	 * Replace `target` with `value`.
+	 * See {@link #insertBefore} for a description of the arguments.
+	 * @param {number|PNode|Node|string} target
+	 * @param {string|Node|PNode|PNodeList} value
+	 * @param {Object} [options]
+	 * @param {boolean} [options.recursive=true]
+	 */
+	replace(target, value, options) {
+		const loc = this._locate(target, options);
+		const old = loc.list.get(loc.index);
+		const ref = old._domNodes()[0];
+		toDomNodes(loc.list.container, value).forEach((n) => {
+			loc.list.container.insertBefore(n, ref);
+		});
+		old.remove();
+	}
+
+	/**
+	 * Remove `target` from this list of nodes.
+	 * See {@link #insertBefore} for a description of the arguments.
+	 * @param {number|PNode|Node|string} target
+	 * @param {Object} [options]
+	 * @param {boolean} [options.recursive=true]
+	 */
+	remove(target, options) {
+		const loc = this._locate(target, options);
+		loc.list.get(loc.index).remove();
+	}
+
+	/**
+	 * Return a string representing the contents of this object
+	 * as HTML conforming to the
+	 * [MediaWiki DOM specification](https://www.mediawiki.org/wiki/Parsoid/MediaWiki_DOM_spec).
+	 * @return {string}
 	 */
 	toHtml() {
 		return this.container.innerHTML;
@@ -491,7 +1662,74 @@ class PNodeList {
 	 * @return {Promise}
 	 */
 	toWikitext() {
-		return wts(this.pdoc.env, this.nodes);
+		return serializeTargets(this.pdoc, [ this ]).then(() => {
+			return wts(this.pdoc.env, this.nodes);
+		});
+	}
+
+	/**
+	 * Parse the template names which contain templates, like
+	 * `{{ {{lang}}-stub }}`, and the parser function arguments which
+	 * contain templates, like `{{#if:{{foo}}|bar}}`, in this list.
+	 * Parsoid only provides their wikitext, so they are parsed separately
+	 * to make them available as {@link PTemplate#name} and
+	 * {@link PParserFunction#firstArg}.
+	 *
+	 * This is done automatically for the documents and fragments created
+	 * by {@link Parsoid.parse}, {@link Parser}, and
+	 * {@link PNodeList.fromWikitext}, so it is only needed after inserting
+	 * other HTML, or to parse new names before assigning them to
+	 * {@link PTemplate#nameText}:
+	 * ```
+	 * yield pdoc.expandTemplateNames([ '{{lang}}-stub' ]);
+	 * template.nameText = '{{lang}}-stub';
+	 * ```
+	 * @param {string[]} [wikitexts] More names to parse.
+	 * @return {Promise} Fulfilled when the names have been parsed.
+	 */
+	expandTemplateNames(wikitexts) {
+		const pdoc = this.pdoc;
+		const wanted = new Set();
+		const want = (wt) => {
+			wt = wt.trim();
+			if (/\{\{/.test(wt) && !pdoc._names.has(wt)) {
+				wanted.add(wt);
+			}
+		};
+		(wikitexts || []).forEach(want);
+		for (const t of this.walk({ types: [ PTransclusion ] })) {
+			const wt = t._targetWt;
+			if (wt !== null) { want(wt); }
+		}
+		return Promise.all(Array.from(wanted, (wt) => {
+			// fromWikitext parses the template names in the result, too.
+			return PNodeList.fromWikitext(pdoc, wt).then((pnodes) => {
+				pdoc._names.set(wt, inlineHtml(pnodes.container));
+			});
+		}));
+	}
+
+	/**
+	 * Return the readable text of this object, without any markup,
+	 * as for search indexing.  Paragraphs are separated by blank lines,
+	 * and list items and table rows by newlines; other white space is
+	 * collapsed, except in preformatted text.  Images and media are
+	 * always left out.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.links=true]
+	 *   Include the text of wiki links and external links.
+	 * @param {boolean} [opts.templates=false]
+	 *   Include the output of templates and template arguments.
+	 * @param {boolean} [opts.references=false]
+	 *   Include references (`<ref>`) and reference lists.
+	 * @param {boolean} [opts.tables=false]
+	 *   Include the contents of tables.
+	 * @param {boolean} [opts.headings=true]
+	 *   Include section headings.
+	 * @return {string}
+	 */
+	toPlainText(opts) {
+		return plainText([ this.container ], opts);
 	}
 
 	/**
@@ -529,6 +1767,9 @@ class PNodeList {
 		throw new Error("Implemented elsewhere.");
 	}
 }
+if (typeof Symbol.asyncIterator === 'symbol') {
+	PNodeList.prototype[Symbol.asyncIterator] = PNodeList.prototype.iterAsync;
+}
 
 /**
  * A PNode represents a specific DOM {@link Node}.  Its subclasses provide
@@ -536,14 +1777,24 @@ class PNodeList {
  *
  * Useful subclasses of {@link PNode} include:
  *
+ * - {@link PBehaviorSwitch}: behavior switches, like `__NOTOC__`
+ * - {@link PCategory}: category links, like `[[Category:Foo]]`
  * - {@link PComment}: comments, like `<!-- example -->`
+ * - {@link PExtension}: extension tags, like `<ref>foo</ref>`
  * - {@link PExtLink}: external links, like `[http://example.com Example]`
  * - {@link PHeading}: headings, like `== Section 1 ==`
  * - {@link PHtmlEntity}: html entities, like `&nbsp;`
+ * - {@link PLanguageLink}: interlanguage links, like `[[fr:Foo]]`
+ * - {@link PList}: lists, like `* foo`; see also {@link PListItem}
  * - {@link PMedia}: images and media, like `[[File:Foo.jpg|caption]]`
+ * - {@link PPageProperty}: page properties, like `{{DEFAULTSORT:Foo}}`
+ * - {@link PParserFunction}: parser functions, like `{{#if:foo|bar}}`
+ * - {@link PRedirect}: redirects, like `#REDIRECT [[Foo]]`
  * - {@link PSection}: section; wraps a PHeading and its contents
+ * - {@link PTable}: tables, like `{| ... |}`
  * - {@link PTag}: other HTML tags, like `<span>`
  * - {@link PTemplate}: templates, like `{{foo|bar}}`
+ * - {@link PTemplateArg}: template arguments, like `{{{1|default}}}`
  * - {@link PText}: unformatted text, like `foo`
  * - {@link PWikiLink}: wiki links, like `[[Foo|bar]]`
  */
@@ -577,8 +1828,10 @@ class PNode {
 		return DU.getJSONAttribute(this.node, 'data-mw', {});
 	}
 	set dataMw(v) {
-		DU.setJSONAttribute(this.node, 'data-mw', v);
-		this.update();
+		reportChange(this, 'dataMw', () => {
+			DU.setJSONAttribute(this.node, 'data-mw', v);
+			this.update();
+		});
 	}
 
 	/**
@@ -588,6 +1841,36 @@ class PNode {
 	 */
 	_children() { return []; }
 
+	/**
+	 * Internal helper: enumerate the PNodeLists contained within this
+	 * node which are stored in data-mw, rather than as DOM descendants
+	 * of {@link #node}.  These are searched by {@link PNodeList#filter}.
+	 * @private
+	 * @return {PNodeList[]}
+	 */
+	_dataMwChildren() { return []; }
+
+	/**
+	 * Internal helper: enumerate all DOM nodes represented by this node.
+	 * This is usually just {@link #node}, but templates and extensions
+	 * can span several sibling DOM nodes.
+	 * @private
+	 * @return {Node[]}
+	 */
+	_domNodes() {
+		return this._wtsNodes ? this._wtsNodes() : [ this.node ];
+	}
+
+	/**
+	 * Remove this node from the document.
+	 */
+	remove() {
+		this._domNodes().forEach((n) => {
+			if (n.parentNode) { n.parentNode.removeChild(n); }
+		});
+		this.update();
+	}
+
 	/**
 	 * Call {@link #update} after manually mutating the DOM {@link Node}
 	 * associated with this {@link PNode} in order to ensure that any
@@ -597,8 +1880,34 @@ class PNode {
 	 * for you when required.
 	 */
 	update() {
-		if (this._update) { this._update(); }
-		if (this.parent) { this.parent.update(); }
+		reportChange(this, null, () => {
+			if (this._update) { this._update(); }
+			if (this.parent) { this.parent.update(); }
+		});
+	}
+
+	/**
+	 * Register a `listener` for `"change"` events, which are emitted
+	 * after this node or anything inside it is changed.  See
+	 * {@link PNodeList#on} for details.
+	 * @param {string} event The name of the event, `"change"`.
+	 * @param {Function} listener
+	 * @return {PNode} This object, for chaining.
+	 */
+	on(event, listener) {
+		this.pdoc._addListener(eventNode(this), event, listener);
+		return this;
+	}
+
+	/**
+	 * Remove a `listener` registered with {@link #on}.
+	 * @param {string} event The name of the event, `"change"`.
+	 * @param {Function} listener
+	 * @return {PNode} This object, for chaining.
+	 */
+	off(event, listener) {
+		this.pdoc._removeListener(eventNode(this), event, listener);
+		return this;
 	}
 
 	/**
@@ -615,85 +1924,1921 @@ class PNode {
 	}
 
 	/**
-	 * @inheritdoc
+	 * @inheritdoc
+	 */
+	toHtml() {
+		const nodes = this._domNodes();
+		return nodes.map(function(n) { return n.outerHTML; }).join('');
+	}
+
+	/**
+	 * @inheritdoc
+	 */
+	toWikitext() {
+		return serializeTargets(this.pdoc, [ this ]).then(() => {
+			return wts(this.pdoc.env, this._domNodes());
+		});
+	}
+
+	/**
+	 * Return the readable text of this node, without any markup.
+	 * The options apply to the contents of this node; for example,
+	 * the text of a {@link PTemplate} is its output even if
+	 * `opts.templates` is false.
+	 * See {@link PNodeList#toPlainText} for a description of the options.
+	 * @param {Object} [opts]
+	 * @return {string}
+	 */
+	toPlainText(opts) {
+		return plainText(this._domNodes(), opts);
+	}
+
+	/**
+	 * @inheritdoc
+	 */
+	toString() {
+		const nodes = this._domNodes();
+		return toStringHelper(nodes);
+	}
+}
+
+// Helpers for list items.
+const isListItem = function(node) {
+	return DU.isElt(node) && /^(LI|DT|DD)$/.test(node.nodeName);
+};
+// The nested list at the end of a list item, if any.
+const sublistNode = function(item) {
+	const last = item.lastElementChild;
+	return (last && /^(UL|OL|DL)$/.test(last.nodeName)) ? last : null;
+};
+
+// Helper: the heading which starts a <section>, if any.
+const sectionHeadingNode = function(section) {
+	const h = section.firstElementChild;
+	return (h && /^H[1-6]$/.test(h.nodeName)) ? h : null;
+};
+
+// Helpers for table cells.
+const isTableCell = function(node) {
+	return node.nodeName === 'TD' || node.nodeName === 'TH';
+};
+const cellSpan = function(node, attr) {
+	const n = parseInt(node.getAttribute(attr), 10);
+	return (isNaN(n) || n < 0) ? 1 : n;
+};
+const setCellSpan = function(node, attr, n) {
+	if (n === 1) {
+		node.removeAttribute(attr);
+	} else {
+		node.setAttribute(attr, String(n));
+	}
+};
+
+// Helper: getter and setter for the inner contents of a node.
+const innerAccessorGet = function(self) {
+	return new PNodeList(self.pdoc, self, self.node);
+};
+const innerAccessorSet = function(self, v) {
+	self.node.innerHTML = toHtmlStr(self.node, v);
+	self.update();
+};
+
+// Helpers: normalized href for the page `name` in the canonical namespace
+// `ns`; `name` may or may not include the namespace prefix.
+const titleHref = function(env, name, ns) {
+	const title = env.makeTitleFromURLDecodedStr(
+		name, env.conf.wiki.canonicalNamespaces[ns]
+	);
+	return './' + title.getPrefixedDBKey();
+};
+const categoryHref = function(env, name) {
+	return titleHref(env, name, 'category');
+};
+
+// Helper: getter and setter for an attribute whose value may have been
+// generated by templates, as described by typeof="mw:ExpandedAttrs".
+// The `setPlain` callback updates the DOM attribute with a plain-text
+// version of the value.
+const expandedAttrHtml = function(self, name) {
+	const attribs = self.dataMw.attribs || [];
+	for (let i = 0; i < attribs.length; i++) {
+		if (attribs[i][0].txt === name && attribs[i][1].html !== undefined) {
+			return attribs[i][1].html;
+		}
+	}
+	return null;
+};
+const expandedAttrSet = function(self, name, v, setPlain) {
+	const div = self.ownerDocument.createElement('div');
+	div.innerHTML = toHtmlStr(div, v);
+	const dmw = self.dataMw;
+	const attribs = (dmw.attribs || []).filter(a => a[0].txt !== name);
+	const typeOf = (self.node.getAttribute('typeof') || '').split(/\s+/)
+		.filter(t => t !== '' && t !== 'mw:ExpandedAttrs');
+	if (div.children.length > 0) {
+		attribs.push([ { txt: name }, { html: div.innerHTML } ]);
+	}
+	if (attribs.length > 0) {
+		dmw.attribs = attribs;
+		typeOf.push('mw:ExpandedAttrs');
+	} else {
+		delete dmw.attribs;
+	}
+	if (typeOf.length > 0) {
+		self.node.setAttribute('typeof', typeOf.join(' '));
+	} else {
+		self.node.removeAttribute('typeof');
+	}
+	if (Object.keys(dmw).length > 0) {
+		DU.setJSONAttribute(self.node, 'data-mw', dmw);
+	} else {
+		self.node.removeAttribute('data-mw');
+	}
+	setPlain(div.textContent);
+	self.update();
+};
+const expandedAttrGet = function(self, name, plain, setPlain) {
+	const html = expandedAttrHtml(self, name);
+	const div = self.ownerDocument.createElement('div');
+	if (html === null) {
+		div.textContent = plain;
+	} else {
+		div.innerHTML = html;
+	}
+	return new PNodeList(self.pdoc, null, div, {
+		update: function() {
+			expandedAttrSet(self, name, this, setPlain);
+		},
+	});
+};
+
+// Helpers for PDoc#changesFrom: summarize the templates, links,
+// categories, and sections of a document as maps from a key (like the
+// template name) to the list of values (like the template arguments)
+// found for that key, in document order.
+const normText = function(s) {
+	return s.replace(/[\s_]+/g, ' ').trim();
+};
+const normTitle = function(s) {
+	s = normText(Util.decodeURIComponent(s));
+	return s.charAt(0).toUpperCase() + s.slice(1);
+};
+const summarize = function(pdoc) {
+	const summary = {
+		template: new Map(),
+		link: new Map(),
+		category: new Map(),
+		section: new Map(),
+	};
+	const add = function(type, key, value) {
+		const values = summary[type].get(key) || [];
+		values.push(value);
+		summary[type].set(key, values);
+	};
+	// Template output may not be up to date after mutations, so leave it
+	// out.
+	const opts = { generated: false };
+	pdoc.filterTemplates(opts).forEach((t) => {
+		add('template', normTitle(t.nameText), JSON.stringify(t.params.map(
+			p => [ p.name, normText(p.value.container.textContent) ]
+		)));
+	});
+	pdoc.filterWikiLinks(opts).forEach(l => add('link', normTitle(l.title), ''));
+	pdoc.filterExtLinks(opts).forEach(l => add('link', l.url, ''));
+	pdoc.categories.forEach((c) => {
+		add('category', normTitle(c.title), c.sortKey === null ? '' : c.sortKey);
+	});
+	// Template output may not be up to date after mutations, so just
+	// compare the text outside of templates and extensions.
+	const text = function(nodes) {
+		const div = pdoc.document.createElement('div');
+		nodes.forEach(b => div.appendChild(b.cloneNode(true)));
+		Array.from(div.querySelectorAll('[about]')).forEach((a) => {
+			a.parentNode.removeChild(a);
+		});
+		return normText(div.textContent);
+	};
+	const sections = pdoc._querySelectorAll('section');
+	sections.forEach((n) => {
+		const section = new PSection(pdoc, pdoc, n);
+		// The lead section has no heading.
+		const heading = section.heading;
+		add('section', heading ? normText(heading.node.textContent) : '',
+			section.level + ' ' + text(section._bodyNodes));
+	});
+	if (sections.length === 0) {
+		// Without sections, compare the text of the whole document.
+		add('section', '', '0 ' + text(Array.from(pdoc.container.childNodes)));
+	}
+	return summary;
+};
+const diffSummaries = function(before, after) {
+	const changes = [];
+	Object.keys(before).forEach((type) => {
+		const keys = new Set(Array.from(before[type].keys())
+			.concat(Array.from(after[type].keys())));
+		keys.forEach((key) => {
+			const a = before[type].get(key) || [];
+			const b = after[type].get(key) || [];
+			for (let i = 0; i < Math.max(a.length, b.length); i++) {
+				const change = { type, key, before: a[i], after: b[i] };
+				if (i >= b.length) {
+					change.action = 'removed';
+				} else if (i >= a.length) {
+					change.action = 'added';
+				} else if (a[i] !== b[i]) {
+					change.action = 'changed';
+				} else {
+					continue;
+				}
+				changes.push(change);
+			}
+		});
+	});
+	return changes;
+};
+
+/**
+ * PTag represents any otherwise-unmatched tag.  This includes
+ * HTML-style tags in wikicode, like `<span>`, as well as some
+ * "invisible" tags like `<p>`.
+ * @extends PNode
+ */
+class PTag extends PNode {
+
+	/**
+	 * The name of the tag, in lowercase.
+	 */
+	get tagName() { return this.node.tagName.toLowerCase(); }
+
+	/**
+	 * The contents of the tag, as a {@PNodeList} object.
+	 * You can assign a String, Node, or PNodeList to mutate the contents.
+	 * @prop {PNodeList}
+	 */
+	get contents() { return innerAccessorGet(this); }
+	set contents(v) {
+		reportChange(this, 'contents', () => innerAccessorSet(this, v));
+	}
+
+	_children() { return [this.contents]; }
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PTag._selector = '*'; // any otherwise-unmatched element
+
+// Helper: the href of the template named `name`.
+const templateHref = function(env, name) {
+	return './' + env.normalizedTitleKey('Template:' + name.trim());
+};
+
+// Helper: `wt`, with the leading and trailing white space of `old`.
+const keepSpace = function(old, wt) {
+	const m = /^(\s*)[^]*?(\s*)$/.exec(old);
+	return m[1] + wt.trim() + m[2];
+};
+
+// Helper: the parsed HTML of a templated template name or parser
+// function argument; see {@link PNodeList#expandTemplateNames}.
+const parsedTarget = function(pdoc, wt) {
+	const html = pdoc._names.get(wt.trim());
+	if (html === undefined) {
+		throw new Error('Call expandTemplateNames() to parse ' +
+			JSON.stringify(wt.trim()) + ' first');
+	}
+	return html;
+};
+
+/**
+ * PTransclusion is the common base class of {@link PTemplate} and
+ * {@link PParserFunction}, which are both represented in the DOM as
+ * transclusions.
+ * @extends PNode
+ */
+class PTransclusion extends PNode {
+	/**
+	 * @private
+	 * @param {PDoc} pdoc The parent document for this PNode.
+	 * @param {PNodeList|null} parent A containing node list which will receive
+	 *    updates when this {@link PNode} is mutated.
+	 * @param {Node} node The DOM node.
+	 * @param {number} which A single {@link Node} can represent multiple
+	 *   transclusions; this parameter serves to distinguish them.
+	 */
+	constructor(pdoc, parent, node, which) {
+		super(pdoc, parent, node, {
+			wtsNodes: function() {
+				// Templates are actually a collection of nodes.
+				return this.parent._querySelectorAll('[about="' + this.node.getAttribute('about') + '"]');
+			},
+		});
+		this.which = which;
+		this._cachedParams = Object.create(null);
+	}
+
+	get _template() {
+		return this.dataMw.parts[this.which];
+	}
+	set _template(v) {
+		this._storeTemplate(v);
+		this.update();
+	}
+
+	// Internal helper: like setting `_template`, but without invoking
+	// {@link #update}.
+	_storeTemplate(v) {
+		const dmw = this.dataMw;
+		dmw.parts[this.which] = v;
+		DU.setJSONAttribute(this.node, 'data-mw', dmw);
+	}
+
+	/**
+	 * The parameters supplied to this template.
+	 * @prop {PTemplate.Parameter[]}
+	 */
+	get params() {
+		return Object.keys(this._template.template.params).sort().map((k) => {
+			return this.get(k);
+		});
+	}
+
+	/**
+	 * Return `true` if any parameter in the template is named `name`.
+	 * With `ignoreEmpty`, `false` will be returned even if the template
+	 * contains a parameter named `name`, if the parameter's value is empty
+	 * (ie, only contains whitespace).  Note that a template may have
+	 * multiple parameters with the same name, but only the last one is
+	 * read by Parsoid (and the MediaWiki parser).
+	 * @param {string|PTemplate.Parameter} name
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.ignoreEmpty=false]
+	 */
+	has(name, opts) {
+		if (name instanceof PTemplate.Parameter) {
+			name = name.name;
+		}
+		const t = this._template.template;
+		return Object.prototype.hasOwnProperty.call(t.params, name) && (
+			(opts && opts.ignoreEmpty) ?
+				!/^\s*$/.test(t.params[name].html) : true
+		);
+	}
+
+	/**
+	 * Add a parameter to the template with a given `name` and `value`.
+	 * If `name` is already a parameter in the template, we'll replace
+	 * its value.
+	 * @param {string|PTemplate.Parameter} name
+	 * @param {string|Node|PNodeList} value
+	 */
+	add(name, value) {
+		if (name instanceof PTemplate.Parameter) {
+			name = name.name;
+		}
+		const t = this._template;
+		const html = toHtmlStr(this.node, value);
+		t.template.params[name] = { html: html };
+		this._template = t;
+	}
+
+	/**
+	 * Remove a parameter from the template with the given `name`.
+	 * If `keepField` is `true`, we will keep the parameter's name but
+	 * blank its value.  Otherwise we will remove the parameter completely
+	 * *unless* other parameters are dependent on it (e.g. removing
+	 * `bar` from `{{foo|bar|baz}}` is unsafe because `{{foo|baz}}` is
+	 * not what we expected, so `{{foo||baz}}` will be produced instead).
+	 *
+	 * If `name` is omitted, the template itself is removed from the
+	 * document, as with {@link PNode#remove}.
+	 * @param {string|PTemplate.Parameter} [name]
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.keepField=false]
+	 */
+	remove(name, opts) {
+		if (name === undefined) {
+			return this._removeSelf();
+		}
+		if (name instanceof PTemplate.Parameter) {
+			name = name.name;
+		}
+		const t = this._template;
+		let keepField = opts && opts.keepField;
+		// if this is a numbered template, force keepField if there
+		// are subsequent numbered templates.
+		const isNumeric = (String(+name) === String(name));
+		if (isNumeric && this.has(1 + (+name))) {
+			keepField = true;
+		}
+		if (keepField) {
+			t.template.params[name] = { html: '' };
+		} else {
+			delete t.template.params[name];
+		}
+		this._template = t;
+	}
+
+	/**
+	 * Extends {@link PNode#matches} to distinguish between the several
+	 * templates which can be represented by a single DOM {@link Node},
+	 * and to match any of the DOM {@link Node}s which make up this
+	 * template.
+	 * @inheritdoc
+	 * @param {Node|PNode} target
+	 */
+	matches(target) {
+		if (target instanceof PTransclusion && target.node === this.node) {
+			return target.which === this.which;
+		}
+		return super.matches(target) || sameAbout(this.node, target);
+	}
+
+	// Internal helper: remove this template from the document.
+	_removeSelf() {
+		const dmw = this.dataMw;
+		// This node may represent several templates; blank the part
+		// corresponding to this one, rather than removing it, so that
+		// the `which` of the other wrappers for this node stays valid.
+		dmw.parts[this.which] = '';
+		if (dmw.parts.every(p => p === '')) {
+			super.remove();
+		} else {
+			this.dataMw = dmw;
+		}
+	}
+
+	/**
+	 * Get the parameter whose name is `name`.
+	 * @param {string|PTemplate.Parameter} name
+	 * @return {PTemplate.Parameter} The parameter record.
+	 */
+	get(name) {
+		if (name instanceof PTemplate.Parameter) {
+			name = name.name;
+		}
+		if (!this._cachedParams[name]) {
+			this._cachedParams[name] = new PTemplate.Parameter(this, name);
+		}
+		return this._cachedParams[name];
+	}
+
+	// Internal helper: a PNodeList for the template name (or parser
+	// function argument) whose wikitext is `wt`.  If it contains
+	// templates, it must have been parsed by
+	// {@link PNodeList#expandTemplateNames}; otherwise `null` is
+	// returned, or an error thrown if `strict` is set.
+	_targetList(wt, strict) {
+		const div = this.ownerDocument.createElement('div');
+		const html = this._template.template.target.html;
+		if (typeof html === 'string') {
+			div.innerHTML = html;
+		} else if (!/\{\{/.test(wt)) {
+			div.textContent = wt.trim();
+		} else if (strict || this.pdoc._names.has(wt.trim())) {
+			div.innerHTML = parsedTarget(this.pdoc, wt);
+		} else {
+			return null;
+		}
+		return new PNodeList(this.pdoc, this, div, {
+			update: function() {
+				this.parent._setTarget(this.container);
+			},
+		});
+	}
+
+	// Internal helper: set the template name (or parser function
+	// argument) to the contents of `container`, without invoking
+	// {@link #update}.  Plain text is stored as wikitext; anything else
+	// needs the (asynchronous) serializer, so it is kept as HTML in the
+	// data-mw until the document is serialized (see serializeTargets).
+	_setTarget(container) {
+		const t = this._template;
+		const text = container.textContent;
+		const isText = Array.from(container.childNodes)
+			.every(n => n.nodeType === Node.TEXT_NODE);
+		if (isText && !/[{}|[\]<>&'~]/.test(text)) {
+			delete t.template.target.html;
+			this._storeTargetWt(t, text);
+		} else {
+			t.template.target.html = container.innerHTML;
+			this.pdoc._targetsEdited = true;
+		}
+		this._storeTemplate(t);
+	}
+
+	_children() {
+		const result = [];
+		this.params.forEach((k) => {
+			const p = this.get(k);
+			if (p.key) { result.push(p.key); }
+			result.push(p.value);
+		});
+		return result;
+	}
+
+	_dataMwChildren() { return this._children(); }
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PTransclusion._selector = '[typeof~="mw:Transclusion"]';
+
+/**
+ * PBehaviorSwitch represents a behavior switch, like `__NOTOC__`.
+ * @extends PNode
+ */
+class PBehaviorSwitch extends PNode {
+	/**
+	 * The name of the behavior switch, in lowercase and without the
+	 * surrounding underscores, like `"notoc"`.
+	 * @prop {string}
+	 * @readonly
+	 */
+	get name() {
+		return this.node.getAttribute('property')
+			.replace(/^mw:PageProp\//, '').toLowerCase();
+	}
+
+	/**
+	 * Test whether this behavior switch has the given name, ignoring
+	 * case and the surrounding underscores, if present.
+	 * @param {string} name The name to test against, like `"__NOTOC__"`.
+	 * @return {boolean}
+	 */
+	nameMatches(name) {
+		return name.replace(/^__|__$/g, '').toLowerCase() === this.name;
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PBehaviorSwitch._selector = 'meta[property^="mw:PageProp/"]' +
+	// These are magic words with arguments; see PPageProperty.
+	':not([property="mw:PageProp/categorydefaultsort"])' +
+	':not([property="mw:PageProp/displaytitle"])';
+
+/**
+ * PCategory represents a category link, like `[[Category:Foo|sort key]]`.
+ * @extends PNode
+ */
+class PCategory extends PNode {
+	// Internal helper: split the href into title and sort key.
+	get _href() {
+		const m = /^([^#]*)(?:#(.*))?$/.exec(this.node.getAttribute('href'));
+		return { title: m[1], sortKey: m[2] === undefined ? null : m[2] };
+	}
+
+	/**
+	 * The title of the category, including the namespace, with
+	 * underscores instead of spaces as for {@link PWikiLink#title}, like
+	 * `"Category:Foo_bar"`.  You can assign a title with or without the
+	 * namespace to mutate the category.
+	 * @prop {string}
+	 */
+	get title() {
+		return this._href.title.replace(/^.\//, '');
+	}
+	set title(v) {
+		reportChange(this, 'title', () => {
+			const sortKey = this._href.sortKey;
+			this.node.setAttribute('href', categoryHref(this.pdoc.env, v) +
+				(sortKey === null ? '' : '#' + sortKey));
+			this.update();
+		});
+	}
+
+	/**
+	 * Test whether this is the given category, after normalizing titles.
+	 * @param {string} name The category name, with or without the namespace.
+	 * @return {boolean}
+	 */
+	nameMatches(name) {
+		const env = this.pdoc.env;
+		const title = env.makeTitleFromText(
+			this.title, env.conf.wiki.canonicalNamespaces.category, true
+		);
+		return title !== null &&
+			categoryHref(env, name) === './' + title.getPrefixedDBKey();
+	}
+
+	/**
+	 * The sort key used for this page in the category, or `null` if
+	 * there is none.  You can assign `null` or a String to mutate the
+	 * sort key.
+	 * @prop {string|null}
+	 */
+	get sortKey() {
+		const html = expandedAttrHtml(this, 'mw:sortKey');
+		if (html !== null) {
+			// The sort key was generated by a template.
+			const div = this.ownerDocument.createElement('div');
+			div.innerHTML = html;
+			return div.textContent;
+		}
+		const sortKey = this._href.sortKey;
+		return sortKey === null ? null : Util.decodeURIComponent(sortKey);
+	}
+	set sortKey(v) {
+		reportChange(this, 'sortKey', () => {
+			const title = this._href.title;
+			expandedAttrSet(this, 'mw:sortKey', v === null ? '' : v, (key) => {
+				this.node.setAttribute('href', title +
+					(v === null ? '' : '#' + encodeURIComponent(key)));
+			});
+		});
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PCategory._selector = 'link[rel="mw:PageProp/Category"]';
+
+/**
+ * PComment represents a hidden HTML comment, like `<!-- fobar -->`.
+ * @extends PNode
+ */
+class PComment extends PNode {
+
+	/**
+	 * The hidden text contained between `<!--` and `-->`.
+	 * @prop {string}
+	 */
+	get contents() {
+		return DU.decodeComment(this.node.data);
+	}
+	set contents(v) {
+		reportChange(this, 'contents', () => {
+			this.node.data = DU.encodeComment(v);
+			this.update();
+		});
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PComment._selector = 'COMMENT'; // non-standard selector
+
+// The extension tags whose body Parsoid represents as parsed wikitext
+// (`data-mw.body.html` or `data-mw.body.id`) instead of raw source.
+const WIKITEXT_BODY_EXTENSIONS = new Set([ 'ref', 'references' ]);
+
+/**
+ * PExtension represents an extension tag, like `<ref>`, `<gallery>`,
+ * or `<syntaxhighlight>`.
+ * @extends PNode
+ */
+class PExtension extends PNode {
+	/**
+	 * @private
+	 * @param {PDoc} pdoc The parent document for this PNode.
+	 * @param {PNodeList|null} parent A containing node list which will receive
+	 *    updates when this {@link PNode} is mutated.
+	 * @param {Node} node The DOM node.
+	 */
+	constructor(pdoc, parent, node) {
+		super(pdoc, parent, node, {
+			wtsNodes: function() {
+				// Like templates, extensions can span a collection of nodes.
+				const about = this.node.getAttribute('about');
+				if (about === null) { return [ this.node ]; }
+				return this.parent._querySelectorAll('[about="' + about + '"]');
+			},
+		});
+	}
+
+	/**
+	 * The name of the extension tag, in lowercase, like `"ref"`.
+	 * @prop {string}
+	 * @readonly
+	 */
+	get name() {
+		const name = this.dataMw.name;
+		if (name !== undefined) { return name; }
+		// Fall back to the RDFa type.
+		const m = /(?:^|\s)mw:Extension\/(\S+)/.exec(this.node.getAttribute('typeof'));
+		return m ? m[1].toLowerCase() : null;
+	}
+
+	/**
+	 * Test whether the name of this extension tag matches a given string,
+	 * ignoring case.
+	 * @param {string} name The extension name to test against.
+	 * @return {boolean}
+	 */
+	nameMatches(name) {
+		return this.name === String(name).trim().toLowerCase();
+	}
+
+	/**
+	 * The attributes of the extension tag, as an {@link Object} mapping
+	 * attribute names to string values.  The returned object is a copy;
+	 * assign a new {@link Object} (or use {@link #setAttribute}) to
+	 * mutate the attributes.
+	 * @prop {Object}
+	 */
+	get attrs() {
+		return Object.assign({}, this.dataMw.attrs);
+	}
+	set attrs(v) {
+		reportChange(this, 'attrs', () => {
+			const dmw = this.dataMw;
+			dmw.attrs = Object.assign({}, v);
+			this.dataMw = dmw;
+		});
+	}
+
+	/**
+	 * Return the value of the attribute named `name`, or `null` if the
+	 * extension tag has no such attribute.
+	 * @param {string} name
+	 * @return {string|null}
+	 */
+	getAttribute(name) {
+		const attrs = this.dataMw.attrs || {};
+		return Object.prototype.hasOwnProperty.call(attrs, name) ?
+			attrs[name] : null;
+	}
+
+	/**
+	 * Set the value of the attribute named `name`.  Setting an attribute
+	 * to `null` removes it.
+	 * @param {string} name
+	 * @param {string|null} value
+	 */
+	setAttribute(name, value) {
+		const dmw = this.dataMw;
+		if (!dmw.attrs) { dmw.attrs = {}; }
+		if (value === null || value === undefined) {
+			delete dmw.attrs[name];
+		} else {
+			dmw.attrs[name] = String(value);
+		}
+		this.dataMw = dmw;
+	}
+
+	// Internal helper: the 'body' property in the dataMw, or null.
+	get _body() {
+		const b = this.dataMw.body;
+		return (b === undefined || b === null) ? null : b;
+	}
+	// Internal helper: is the body raw source, rather than parsed wikitext?
+	get _isOpaque() {
+		const b = this._body;
+		if (b === null) {
+			// Self-closing; go by the type of extension.
+			return !WIKITEXT_BODY_EXTENSIONS.has(this.name);
+		}
+		return typeof b.html !== 'string' && typeof b.id !== 'string';
+	}
+
+	/**
+	 * The body of the extension tag, or `null` if the tag is
+	 * self-closing (like `<ref name="foo" />`).
+	 *
+	 * For extensions whose body is opaque (like `<syntaxhighlight>` or
+	 * `<math>`) this is the raw source between the tags, as a String.
+	 * For extensions whose body is parsed wikitext (like `<ref>`) this
+	 * is a {@link PNodeList}.
+	 *
+	 * You can assign `null`, a String, Node, or PNodeList to mutate the
+	 * body.  A String is treated as raw source for opaque extensions, and
+	 * as plain text for extensions whose body is parsed wikitext (even if
+	 * the tag is currently self-closing).
+	 * @prop {PNodeList|string|null}
+	 */
+	get body() {
+		const b = this._body;
+		if (b === null) { return null; }
+		if (this._isOpaque) {
+			return typeof b.extsrc === 'string' ? b.extsrc : '';
+		}
+		// Note that _cachedNodeList is null if the body is missing.
+		if (this._cachedNodeList === undefined) {
+			if (typeof b.html === 'string') {
+				const bodyDiv = this.ownerDocument.createElement('div');
+				bodyDiv.innerHTML = b.html;
+				this._cachedNodeList = new PNodeList(
+					this.pdoc, this, bodyDiv, {
+						update: function() {
+							const dmw = this.parent.dataMw;
+							dmw.body = { html: this.container.innerHTML };
+							this.parent.dataMw = dmw;
+						},
+					});
+			} else {
+				// The body lives elsewhere in the document; for example,
+				// the contents of a <ref> are found in the <references>
+				// list.
+				const bodyElt = this.ownerDocument.getElementById(b.id);
+				this._cachedNodeList = bodyElt ?
+					new PNodeList(this.pdoc, this, bodyElt) : null;
+			}
+		}
+		return this._cachedNodeList;
+	}
+	set body(v) {
+		reportChange(this, 'body', () => {
+			const b = this._body;
+			const dmw = this.dataMw;
+			this._cachedNodeList = undefined;
+			if (v === null || v === undefined) {
+				delete dmw.body;
+			} else if (typeof v === 'string' && this._isOpaque) {
+				dmw.body = { extsrc: v };
+			} else if (b !== null && typeof b.id === 'string' &&
+				this.ownerDocument.getElementById(b.id)) {
+				const bodyElt = this.ownerDocument.getElementById(b.id);
+				bodyElt.innerHTML = toHtmlStr(bodyElt, v);
+				this.update();
+				return;
+			} else {
+				dmw.body = { html: toHtmlStr(this.node, v) };
+			}
+			this.dataMw = dmw;
+		});
+	}
+
+	/**
+	 * Extends {@link PNode#matches} to match any of the DOM {@link Node}s
+	 * which make up this extension tag.
+	 * @inheritdoc
+	 * @param {Node|PNode} target
+	 */
+	matches(target) {
+		return super.matches(target) || sameAbout(this.node, target);
+	}
+
+	_children() {
+		const b = this.body;
+		return (b instanceof PNodeList) ? [ b ] : [];
+	}
+
+	_dataMwChildren() { return this._children(); }
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PExtension._selector = '[typeof*="mw:Extension/"]';
+
+/**
+ * PExtLink represents an external link, like `[http://example.com Example]`.
+ * @extends PNode
+ */
+class PExtLink extends PNode {
+
+	/**
+	 * The name of the tag, in lowercase.
+	 */
+	get tagName() { return this.node.tagName.toLowerCase(); }
+
+	/**
+	 * The URL of the link target, as a plain string.  If the URL was
+	 * generated by a template, this is the expanded result; use
+	 * {@link #target} to get at the template.
+	 * @prop {string}
+	 */
+	get url() {
+		return this.node.getAttribute('href');
+	}
+	set url(v) {
+		reportChange(this, 'url', () => {
+			this.target = String(v);
+		});
+	}
+
+	/**
+	 * The URL of the link target, as a {@link PNodeList}.  This may
+	 * contain templates, as in `[http://{{SERVERNAME}}/x y]`.
+	 * You can assign a String, Node, or PNodeList to mutate the target.
+	 * @prop {PNodeList}
+	 */
+	get target() {
+		return expandedAttrGet(this, 'href', this.url, this._setHref);
+	}
+	set target(v) {
+		reportChange(this, 'target', () => {
+			expandedAttrSet(this, 'href', v, this._setHref);
+		});
+	}
+
+	// Internal helper: a callback to update the plain-text href.
+	get _setHref() {
+		return (url) => { this.node.setAttribute('href', url); };
+	}
+
+	/**
+	 * The link title, as a {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to mutate the title.
+	 * @prop {PNodeList}
+	 */
+	get title() { return innerAccessorGet(this); }
+	set title(v) {
+		reportChange(this, 'title', () => innerAccessorSet(this, v));
+	}
+
+	_children() {
+		return [this.title].concat(this._dataMwChildren());
+	}
+
+	_dataMwChildren() {
+		return (expandedAttrHtml(this, 'href') === null) ? [] : [this.target];
+	}
+}
+
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PExtLink._selector = 'a[rel="mw:ExtLink"]';
+
+/**
+ * PHeading represents a section heading in wikitext, like `== Foo ==`.
+ * @extends PNode
+ */
+class PHeading extends PNode {
+
+	/**
+	 * The name of the tag, in lowercase.
+	 */
+	get tagName() { return this.node.tagName.toLowerCase(); }
+
+	/**
+	 * The heading level, as an integer between 1 and 6 inclusive.
+	 * @prop {number}
+	 */
+	get level() {
+		return +this.node.nodeName.slice(1);
+	}
+	set level(v) {
+		reportChange(this, 'level', () => {
+			v = +v;
+			if (v === this.level) {
+				return;
+			} else if (v >= 1 && v <= 6) {
+				const nh = this.ownerDocument.createElement('h' + v);
+				while (this.node.firstChild !== null) {
+					nh.appendChild(this.node.firstChild);
+				}
+				this.node.parentNode.replaceChild(nh, this.node);
+				this.node = nh;
+				this.update();
+			} else {
+				throw new Error("Level must be between 1 and 6, inclusive.");
+			}
+		});
+	}
+
+	/**
+	 * The title of the heading, as a {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to mutate the title.
+	 * @prop {PNodeList}
+	 */
+	get title() { return innerAccessorGet(this); }
+	set title(v) {
+		reportChange(this, 'title', () => innerAccessorSet(this, v));
+	}
+
+	_children() { return [this.title]; }
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PHeading._selector = 'h1,h2,h3,h4,h5,h6';
+
+/**
+ * PHtmlEntity represents an HTML entity, like `&nbsp;`.
+ * @extends PNode
+ */
+class PHtmlEntity extends PNode {
+
+	/**
+	 * The character represented by the HTML entity.
+	 * @prop {string}
+	 */
+	get normalized() { return this.node.textContent; }
+	set normalized(v) {
+		reportChange(this, 'normalized', () => {
+			this.node.textContent = v;
+			this.node.removeAttribute('data-parsoid');
+			this.update();
+		});
+	}
+
+	/**
+	 * Extends {@link PNode#matches} to allow a target string to match
+	 * if it matches this node's #normalized character.
+	 * @inheritdoc
+	 * @param {Node|PNode|string} target
+	 */
+	matches(target) {
+		return super.matches(target) || this.normalized === target;
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PHtmlEntity._selector = '[typeof="mw:Entity"]';
+
+/**
+ * PLanguageLink represents an interlanguage link, like `[[fr:Foo]]`.
+ * @extends PNode
+ */
+class PLanguageLink extends PNode {
+	// Internal helper: match the href against the interwiki map.
+	get _match() {
+		const href = this.node.getAttribute('href');
+		return this.pdoc.env.conf.wiki.interWikiMatcher().match(href) || null;
+	}
+
+	/**
+	 * The language code (interwiki prefix) of the link, like `"fr"`,
+	 * or `null` if the link target is not a known wiki.
+	 * @prop {string|null}
+	 */
+	get lang() {
+		const m = this._match;
+		return m ? m[0].replace(/^:/, '') : null;
+	}
+	set lang(v) {
+		reportChange(this, 'lang', () => {
+			this._setHref(v, this.title);
+		});
+	}
+
+	/**
+	 * The title of the page on the other wiki, with underscores instead
+	 * of spaces as for {@link PWikiLink#title}, like `"Foo_bar"`; or
+	 * `null` if the link target is not a known wiki.  You can assign a
+	 * title with spaces or underscores to mutate the link.
+	 * @prop {string|null}
+	 */
+	get title() {
+		const m = this._match;
+		return m ? Util.decodeURIComponent(m[1]) : null;
+	}
+	set title(v) {
+		reportChange(this, 'title', () => {
+			this._setHref(this.lang, v);
+		});
+	}
+
+	// Internal helper: construct a new href from the interwiki map.
+	_setHref(lang, title) {
+		const iw = this.pdoc.env.conf.wiki.interwikiMap.get(lang);
+		if (!iw) {
+			throw new Error('Unknown language: ' + lang);
+		}
+		const t = encodeURIComponent(String(title).replace(/ /g, '_'))
+			.replace(/%3A/g, ':').replace(/%2F/g, '/');
+		this.node.setAttribute('href', iw.url.replace('$1', t));
+		this.update();
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PLanguageLink._selector = 'link[rel="mw:PageProp/Language"]';
+
+/**
+ * PList represents a bulleted, numbered, or definition list, like
+ * `* foo`, `# foo`, or `; foo : bar`.
+ * @extends PTag
+ */
+class PList extends PTag {
+
+	/**
+	 * The kind of list: one of `"bullet"`, `"numbered"`, or
+	 * `"definition"`.
+	 * @prop {string}
+	 * @readonly
+	 */
+	get kind() {
+		return { UL: 'bullet', OL: 'numbered', DL: 'definition' }[this.node.nodeName];
+	}
+
+	/**
+	 * The items of this list, as an array of {@link PListItem}.
+	 * For definition lists, terms and definitions are separate items.
+	 * @prop {PListItem[]}
+	 * @readonly
+	 */
+	get items() {
+		const parent = new PNodeList(this.pdoc, this, this.node);
+		return this._itemNodes.map(n => new PListItem(this.pdoc, parent, n));
+	}
+
+	get _itemNodes() {
+		return Array.from(this.node.children).filter(isListItem);
+	}
+
+	// Internal helper: find the DOM node for an item or index.
+	_itemNode(item) {
+		const nodes = this._itemNodes;
+		const node = (typeof item === 'number') ? nodes[item] :
+			(item instanceof PNode) ? item.node : item;
+		if (nodes.indexOf(node) < 0) {
+			throw new Error('Item not found: ' + String(item));
+		}
+		return node;
+	}
+
+	/**
+	 * Add a new item to this list.
+	 * @param {string|Node|PNodeList} value The contents of the new item.
+	 * @param {Object} [opts]
+	 * @param {number} [opts.index]
+	 *   The position of the new item; by default it is added at the end.
+	 * @param {boolean} [opts.term=false]
+	 *   For definition lists, add a term (`; foo`) rather than a
+	 *   definition (`: foo`).
+	 * @return {PListItem} The new item.
+	 */
+	addItem(value, opts) {
+		const tag = this.node.nodeName !== 'DL' ? 'li' :
+			(opts && opts.term) ? 'dt' : 'dd';
+		const node = this.ownerDocument.createElement(tag);
+		node.innerHTML = toHtmlStr(node, value);
+		const nodes = this._itemNodes;
+		const index = (opts && opts.index !== undefined) ? opts.index : nodes.length;
+		if (index < 0 || index > nodes.length) {
+			throw new Error('Index out of range: ' + index);
+		}
+		this.node.insertBefore(node, index < nodes.length ? nodes[index] : null);
+		this.update();
+		return new PListItem(this.pdoc, new PNodeList(this.pdoc, this, this.node), node);
+	}
+
+	/**
+	 * Remove an item (and any items nested beneath it) from this list.
+	 * @param {number|PListItem} item The item, or its index.
+	 */
+	removeItem(item) {
+		this.node.removeChild(this._itemNode(item));
+		this.update();
+	}
+
+	/**
+	 * Move an item (and any items nested beneath it) to a new position
+	 * in this list.
+	 * @param {number|PListItem} item The item, or its index.
+	 * @param {number} index The new position of the item.
+	 */
+	moveItem(item, index) {
+		const node = this._itemNode(item);
+		this.node.removeChild(node);
+		const nodes = this._itemNodes;
+		if (index < 0 || index > nodes.length) {
+			throw new Error('Index out of range: ' + index);
+		}
+		this.node.insertBefore(node, index < nodes.length ? nodes[index] : null);
+		this.update();
+	}
+
+	/**
+	 * Sort the items of this list, using the given comparison function
+	 * as for {@link Array#sort}.  Items nested beneath an item move
+	 * along with it.  In a definition list, each term moves along with
+	 * the definitions which follow it, and only the terms are compared.
+	 * @param {Function} compareFn
+	 *   Invoked with two {@link PListItem}s.
+	 */
+	sortItems(compareFn) {
+		const groups = [];
+		this.items.forEach((item) => {
+			if (item.node.nodeName === 'DD' && groups.length > 0) {
+				groups[groups.length - 1].push(item);
+			} else {
+				groups.push([ item ]);
+			}
+		});
+		groups.sort((a, b) => compareFn(a[0], b[0])).forEach((group) => {
+			group.forEach((item) => { this.node.appendChild(item.node); });
+		});
+		this.update();
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PList._selector = 'ul,ol,dl';
+
+/**
+ * PListItem represents an item of a {@link PList}.
+ * @extends PTag
+ */
+class PListItem extends PTag {
+
+	/**
+	 * The contents of this item, not including any nested list, as a
+	 * {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to mutate the contents.
+	 * @prop {PNodeList}
+	 */
+	get contents() {
+		const div = this.ownerDocument.createElement('div');
+		const sublist = sublistNode(this.node);
+		Array.from(this.node.childNodes).forEach((n) => {
+			if (n !== sublist) { div.appendChild(n.cloneNode(true)); }
+		});
+		return new PNodeList(this.pdoc, this, div, {
+			update: function() {
+				this.parent._setContents(this.container);
+			},
+		});
+	}
+	set contents(v) {
+		reportChange(this, 'contents', () => {
+			const div = this.ownerDocument.createElement('div');
+			div.innerHTML = toHtmlStr(div, v);
+			this._setContents(div);
+			this.update();
+		});
+	}
+
+	// Internal helper: replace our contents with copies of the children
+	// of `div`, leaving the nested list (if any) alone.
+	_setContents(div) {
+		const sublist = sublistNode(this.node);
+		Array.from(this.node.childNodes).forEach((n) => {
+			if (n !== sublist) { this.node.removeChild(n); }
+		});
+		Array.from(div.childNodes).forEach((n) => {
+			this.node.insertBefore(n.cloneNode(true), sublist);
+		});
+	}
+
+	/**
+	 * The list nested beneath this item, as a {@link PList}, or `null`
+	 * if there is none.
+	 * @prop {PList|null}
+	 * @readonly
+	 */
+	get sublist() {
+		const sublist = sublistNode(this.node);
+		return sublist ? new PList(
+			this.pdoc, new PNodeList(this.pdoc, this, this.node), sublist
+		) : null;
+	}
+
+	/**
+	 * Nest this item (and any items nested beneath it) one level deeper,
+	 * making it the last item of the sublist of the previous item.
+	 * Throws an {@link Error} if this is the first item in its list.
+	 */
+	indent() {
+		let prev = this.node.previousElementSibling;
+		while (prev && !isListItem(prev)) {
+			prev = prev.previousElementSibling;
+		}
+		if (!prev) {
+			throw new Error('Cannot indent the first item of a list');
+		}
+		let sublist = sublistNode(prev);
+		if (!sublist) {
+			sublist = this.ownerDocument.createElement(this.node.parentNode.nodeName);
+			prev.appendChild(sublist);
+		}
+		sublist.appendChild(this.node);
+		this.update();
+	}
+
+	/**
+	 * Nest this item one level shallower, placing it after the item
+	 * which contains its list.  Any following items in the same list
+	 * become nested beneath this item, so that document order is
+	 * preserved.  Throws an {@link Error} if this item is not nested.
+	 */
+	outdent() {
+		const list = this.node.parentNode;
+		const parentItem = list.parentNode;
+		if (!isListItem(parentItem)) {
+			throw new Error('Cannot outdent an item which is not nested');
+		}
+		const following = [];
+		for (let n = this.node.nextSibling; n; n = n.nextSibling) {
+			following.push(n);
+		}
+		if (following.some(isListItem)) {
+			let sublist = sublistNode(this.node);
+			if (!sublist) {
+				sublist = this.ownerDocument.createElement(list.nodeName);
+				this.node.appendChild(sublist);
+			}
+			following.forEach(n => sublist.appendChild(n));
+		}
+		parentItem.parentNode.insertBefore(this.node, parentItem.nextSibling);
+		if (!Array.from(list.children).some(isListItem)) {
+			parentItem.removeChild(list);
+		}
+		this.update();
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PListItem._selector = 'li,dt,dd';
+
+/**
+ * PMedia represents an image or audio/video element in wikitext,
+ * like `[[File:Foobar.jpg|caption]]`.
+ * @extends PNode
+ */
+class PMedia extends PNode {
+
+	/**
+	 * The name of the tag, in lowercase.
+	 */
+	get tagName() { return this.node.tagName.toLowerCase(); }
+
+	// Internal helper: is the outer element a <figure> or a <span>?
+	get _isBlock() { return this.node.tagName === 'FIGURE'; }
+	// Internal helper: get at the 'caption' property in the dataMw
+	get _caption() {
+		const c = this.dataMw.caption;
+		return c === undefined ? null : c;
+	}
+	set _caption(v) {
+		const dmw = this.dataMw;
+		if (v === undefined || v === null) {
+			delete dmw.caption;
+		} else {
+			dmw.caption = v;
+		}
+		this.dataMw = dmw;
+	}
+
+	/**
+	 * The caption of the image or media file, or `null` if not present.
+	 * You can assign `null`, a String, Node, or PNodeList to mutate the
+	 * contents.
+	 * @prop {PNodeList|null}
+	 */
+	get caption() {
+		let c, captionDiv;
+		// Note that _cachedNodeList is null if caption is missing.
+		if (this._cachedNodeList === undefined) {
+			if (this._isBlock) {
+				c = this.node.firstChild.nextSibling;
+				this._cachedNodeList =
+					c ? new PNodeList(this.pdoc, this, c) : null;
+			} else {
+				c = this._caption;
+				if (c === null) {
+					this._cachedNodeList = null;
+				} else {
+					captionDiv = this.ownerDocument.createElement('div');
+					captionDiv.innerHTML = c;
+					this._cachedNodeList = new PNodeList(
+						this.pdoc, this, captionDiv, {
+							update: function() {
+								this.parent._caption = this.container.innerHTML;
+							},
+						});
+				}
+			}
+		}
+		return this._cachedNodeList;
+	}
+	set caption(v) {
+		reportChange(this, 'caption', () => {
+			this._cachedNodeList = undefined;
+			if (this._isBlock) {
+				let c = this.node.firstChild.nextSibling;
+				if (v === null || v === undefined) {
+					if (c) {
+						this.node.removeChild(c);
+						this.update();
+					}
+				} else {
+					if (!c) {
+						c = this.ownerDocument.createElement('figcaption');
+						this.node.appendChild(c);
+					}
+					c.innerHTML = toHtmlStr(c, v);
+					this.update();
+				}
+			} else {
+				this._caption = (v === null || v === undefined) ? v :
+					toHtmlStr(this.node, v);
+				this.update();
+			}
+		});
+	}
+
+	// Internal helpers: the media element, and the link which wraps it.
+	get _elt() { return this.node.querySelector('img,video,audio'); }
+	get _linkElt() {
+		const p = this._elt.parentNode;
+		return (p.nodeName === 'A' || (p.nodeName === 'SPAN' && p !== this.node)) ?
+			p : null;
+	}
+
+	// Internal helper: update an attribute of the media element, dropping
+	// any template-generated value for the corresponding option.
+	_setEltAttribute(name, v) {
+		const elt = this._elt;
+		if (v === null || v === undefined) {
+			elt.removeAttribute(name);
+		} else {
+			elt.setAttribute(name, String(v));
+		}
+		this._clearExpanded(name);
+		this.update();
+	}
+	_clearExpanded(key) {
+		const dmw = this.dataMw;
+		if (!dmw.attribs) { return; }
+		dmw.attribs = dmw.attribs.filter(a => a[0] !== key && a[0].txt !== key);
+		if (dmw.attribs.length === 0) {
+			delete dmw.attribs;
+			this.node.setAttribute('typeof', this.node.getAttribute('typeof')
+				.split(/\s+/).filter(t => t !== 'mw:ExpandedAttrs').join(' '));
+		}
+		DU.setJSONAttribute(this.node, 'data-mw', dmw);
+	}
+
+	// Internal helper: the original list of media options.
+	get _optList() {
+		return DU.getJSONAttribute(this.node, 'data-parsoid', {}).optList || [];
+	}
+	set _optList(v) {
+		const dp = DU.getJSONAttribute(this.node, 'data-parsoid', {});
+		dp.optList = v;
+		DU.setJSONAttribute(this.node, 'data-parsoid', dp);
+	}
+
+	/**
+	 * The title of the media file, including the namespace, like
+	 * `"File:Foo.jpg"`.  You can assign a title with or without the
+	 * namespace to rename the file.
+	 * @prop {string}
+	 */
+	get filename() {
+		return this._elt.getAttribute('resource').replace(/^(\.\.?\/)+/, '');
+	}
+	set filename(v) {
+		reportChange(this, 'filename', () => {
+			const elt = this._elt;
+			const link = this._linkElt;
+			const old = elt.getAttribute('resource');
+			const resource = titleHref(this.pdoc.env, v, 'file');
+			if (link && link.getAttribute('href') === old) {
+				// Keep the default link pointing at the file description page.
+				link.setAttribute('href', resource);
+			}
+			this._setEltAttribute('resource', resource);
+		});
+	}
+
+	/**
+	 * The format of the media: one of `"thumb"`, `"frame"`,
+	 * `"frameless"`, or `null` for the default format.
+	 * @prop {string|null}
+	 */
+	get format() {
+		const m = /(?:^|\s)mw:(?:Image|Video|Audio)\/(Thumb|Frame|Frameless)(?=$|\s)/
+			.exec(this.node.getAttribute('typeof') || '');
+		return m ? m[1].toLowerCase() : null;
+	}
+	set format(v) {
+		reportChange(this, 'format', () => {
+			const suffix = { thumb: '/Thumb', frame: '/Frame', frameless: '/Frameless' };
+			if (v !== null && !suffix[v]) {
+				throw new Error('Unknown media format: ' + v);
+			}
+			this.node.setAttribute('typeof', this.node.getAttribute('typeof')
+				.replace(/(^|\s)(mw:(?:Image|Video|Audio))(?:\/\w*)?(?=$|\s)/,
+					(m, sp, type) => sp + type + (v === null ? '' : suffix[v])));
+			this._updateWrapper();
+		});
+	}
+
+	/**
+	 * The horizontal alignment of the media: one of `"left"`, `"right"`,
+	 * `"center"`, `"none"`, or `null` if not specified.
+	 * @prop {string|null}
+	 */
+	get align() {
+		const m = /(?:^|\s)mw-halign-(\w+)(?=$|\s)/
+			.exec(this.node.getAttribute('class') || '');
+		return m ? m[1] : null;
+	}
+	set align(v) {
+		reportChange(this, 'align', () => {
+			if (v !== null && !/^(left|right|center|none)$/.test(v)) {
+				throw new Error('Unknown media alignment: ' + v);
+			}
+			const cl = this.node.classList;
+			[ 'left', 'right', 'center', 'none' ].forEach((a) => {
+				cl.remove('mw-halign-' + a);
+			});
+			if (v !== null) { cl.add('mw-halign-' + v); }
+			this._updateWrapper();
+		});
+	}
+
+	// Internal helper: thumbnails, frames, and aligned media are block
+	// elements (`<figure>`), others are inline (`<span>`).  Convert the
+	// wrapper (and the caption) after the format or alignment changes.
+	_updateWrapper() {
+		const wantBlock = this.align !== null ||
+			this.format === 'thumb' || this.format === 'frame';
+		if (wantBlock !== this._isBlock) {
+			const old = this.node;
+			const caption = this.caption;
+			const captionHtml = caption && caption.container.innerHTML;
+			if (!this._isBlock) {
+				// The inline caption was stored in data-mw.
+				const dmw = this.dataMw;
+				delete dmw.caption;
+				DU.setJSONAttribute(old, 'data-mw', dmw);
+			}
+			const node = this.ownerDocument.createElement(wantBlock ? 'figure' : 'span');
+			Array.from(old.attributes).forEach((a) => {
+				node.setAttribute(a.name, a.value);
+			});
+			const link = this._linkElt;
+			node.appendChild(link || this._elt);
+			old.parentNode.replaceChild(node, old);
+			this.node = node;
+			this._cachedNodeList = undefined;
+			if (captionHtml) {
+				if (wantBlock) {
+					const c = this.ownerDocument.createElement('figcaption');
+					c.innerHTML = captionHtml;
+					node.appendChild(c);
+				} else {
+					const dmw = this.dataMw;
+					dmw.caption = captionHtml;
+					DU.setJSONAttribute(node, 'data-mw', dmw);
+				}
+			}
+		}
+		this.update();
+	}
+
+	// Internal helper: the explicit size of the media, or null.
+	_size(name) {
+		if (this.node.classList.contains('mw-default-size')) { return null; }
+		const v = this._elt.getAttribute(name);
+		return v === null ? null : +v;
+	}
+	_setSize(name, other, v) {
+		const elt = this._elt;
+		if (v === null) {
+			this.node.classList.add('mw-default-size');
+			this.update();
+			return;
+		}
+		const oldSize = +elt.getAttribute(name);
+		const otherSize = +elt.getAttribute(other);
+		if (oldSize > 0 && otherSize > 0) {
+			// Preserve the aspect ratio.
+			elt.setAttribute(other, String(Math.round(otherSize * v / oldSize)));
+		}
+		this.node.classList.remove('mw-default-size');
+		this._setEltAttribute(name, v);
+	}
+
+	/**
+	 * The width of the media in pixels, or `null` if the default size is
+	 * used.  Assigning a number also scales the height to preserve the
+	 * aspect ratio; assign `null` to revert to the default size.
+	 * Explicit sizes are serialized as a bounding box, like `200x200px`.
+	 * @prop {number|null}
+	 */
+	get width() { return this._size('width'); }
+	set width(v) {
+		reportChange(this, 'width', () => this._setSize('width', 'height', v));
+	}
+
+	/**
+	 * The height of the media in pixels, or `null` if the default size is
+	 * used.  Assigning a number also scales the width to preserve the
+	 * aspect ratio; assign `null` to revert to the default size.
+	 * @prop {number|null}
+	 */
+	get height() { return this._size('height'); }
+	set height(v) {
+		reportChange(this, 'height', () => this._setSize('height', 'width', v));
+	}
+
+	/**
+	 * The `upright` scaling factor of the media, or `null` if not
+	 * specified.  A bare `upright` option has the factor `0.75`.
+	 * This option is only serialized for thumbnails and frameless media
+	 * which use the default size.
+	 * @prop {number|null}
+	 */
+	get upright() {
+		const o = this._optList.find(o => o.ck === 'upright');
+		if (!o) { return null; }
+		const m = /[\d.]+/.exec(o.ak);
+		return m ? +m[0] : 0.75;
+	}
+	set upright(v) {
+		reportChange(this, 'upright', () => {
+			const opts = this._optList.filter(o => o.ck !== 'upright');
+			if (v !== null) {
+				const old = this._optList.findIndex(o => o.ck === 'upright');
+				const caption = opts.findIndex(o => o.ck === 'caption');
+				const index = old >= 0 ? old : caption >= 0 ? caption : opts.length;
+				opts.splice(index, 0, { ck: 'upright', ak: 'upright=' + v });
+			}
+			this._optList = opts;
+			this.update();
+		});
+	}
+
+	/**
+	 * The alternate text of the media, or `null` if not present.
+	 * @prop {string|null}
+	 */
+	get alt() { return this._elt.getAttribute('alt'); }
+	set alt(v) {
+		reportChange(this, 'alt', () => this._setEltAttribute('alt', v));
+	}
+
+	/**
+	 * The target of the `link=` option: a page title or URL, `""` if the
+	 * media is not linked, or `null` for the default link to the file
+	 * description page.
+	 * @prop {string|null}
+	 */
+	get link() {
+		const link = this._linkElt;
+		if (!link) { return null; }
+		const href = link.getAttribute('href');
+		if (href === null) { return ''; }
+		if (href === this._elt.getAttribute('resource')) { return null; }
+		return href.replace(/^(\.\.?\/)+/, '');
+	}
+	set link(v) {
+		reportChange(this, 'link', () => {
+			const elt = this._elt;
+			let link = this._linkElt;
+			const tag = (v === '') ? 'span' : 'a';
+			if (!link || link.nodeName.toLowerCase() !== tag) {
+				const n = this.ownerDocument.createElement(tag);
+				elt.parentNode.replaceChild(n, link || elt);
+				n.appendChild(elt);
+				link = n;
+			}
+			if (v === '') {
+				link.removeAttribute('href');
+			} else if (v === null) {
+				link.setAttribute('href', elt.getAttribute('resource'));
+			} else if (/^([a-z][a-z0-9+.-]*:)?\/\//i.test(v)) {
+				link.setAttribute('href', v);
+			} else {
+				link.setAttribute('href', './' + this.pdoc.env.normalizedTitleKey(v));
+			}
+			this._clearExpanded('link');
+			this.update();
+		});
+	}
+
+	/**
+	 * The page number to show, for multipage media like PDFs, or `null`
+	 * if not specified.
+	 * @prop {number|null}
+	 */
+	get page() {
+		const page = this.dataMw.page;
+		return page === undefined ? null : +page;
+	}
+	set page(v) {
+		reportChange(this, 'page', () => {
+			const dmw = this.dataMw;
+			if (v === null) {
+				delete dmw.page;
+			} else {
+				dmw.page = v;
+			}
+			this.dataMw = dmw;
+		});
+	}
+
+	/**
+	 * The language to use for media like SVGs which contain text in
+	 * several languages, or `null` if not specified.
+	 * @prop {string|null}
+	 */
+	get lang() { return this._elt.getAttribute('lang'); }
+	set lang(v) {
+		reportChange(this, 'lang', () => this._setEltAttribute('lang', v));
+	}
+
+	_children() {
+		const c = this.caption;
+		return c ? [ c ] : [];
+	}
+
+	_dataMwChildren() {
+		// Block media captions are ordinary DOM content.
+		return this._isBlock ? [] : this._children();
+	}
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PMedia._selector = 'figure,[typeof~="mw:Image"]';
+
+/**
+ * PPageProperty represents one of the magic words which set a property
+ * of the page: `{{DEFAULTSORT:...}}` (the default sort key for the
+ * page's categories) or `{{DISPLAYTITLE:...}}`.  Unlike other magic
+ * words, these aren't {@link PParserFunction}s.
+ * @extends PNode
+ */
+class PPageProperty extends PNode {
+	/**
+	 * The name of the property, `"defaultsort"` or `"displaytitle"`.
+	 * @prop {string}
+	 * @readonly
 	 */
-	toHtml() {
-		const nodes = this._wtsNodes ? this._wtsNodes() : [ this.node ];
-		return nodes.map(function(n) { return n.outerHTML; }).join('');
+	get name() {
+		return this.node.getAttribute('property')
+			.replace(/^mw:PageProp\/(category)?/, '');
 	}
 
 	/**
-	 * @inheritdoc
+	 * Test whether this property has the given name, ignoring case and
+	 * any trailing `:`.
+	 * @param {string} name The name to test against, like `"DEFAULTSORT"`.
+	 * @return {boolean}
 	 */
-	toWikitext() {
-		const nodes = this._wtsNodes ? this._wtsNodes() : [ this.node ];
-		return wts(this.pdoc.env, nodes);
+	nameMatches(name) {
+		return name.replace(/:$/, '').toLowerCase() === this.name;
 	}
 
 	/**
-	 * @inheritdoc
+	 * The value of the property, like `"Foo"` in `{{DEFAULTSORT:Foo}}`.
+	 * If the value was generated by a template, this is its expanded
+	 * text, and assigning a new value replaces the template.
+	 * @prop {string}
 	 */
-	toString() {
-		const nodes = this._wtsNodes ? this._wtsNodes() : [ this.node ];
-		return toStringHelper(nodes);
+	get value() {
+		return this.node.getAttribute('content') || '';
+	}
+	set value(v) {
+		reportChange(this, 'value', () => {
+			expandedAttrSet(this, 'content', String(v), (content) => {
+				this.node.setAttribute('content', content);
+			});
+		});
 	}
 }
-
-// Helper: getter and setter for the inner contents of a node.
-const innerAccessorGet = function(self) {
-	return new PNodeList(self.pdoc, self, self.node);
-};
-const innerAccessorSet = function(self, v) {
-	self.node.innerHTML = toHtmlStr(self.node, v);
-	self.update();
-};
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PPageProperty._selector = 'meta[property="mw:PageProp/categorydefaultsort"],' +
+	'meta[property="mw:PageProp/displaytitle"]';
 
 /**
- * PTag represents any otherwise-unmatched tag.  This includes
- * HTML-style tags in wikicode, like `<span>`, as well as some
- * "invisible" tags like `<p>`.
- * @extends PNode
+ * PParserFunction represents a parser function or magic word, like
+ * `{{#if:foo|bar}}`, `{{#invoke:Module|fn}}`, or `{{PAGENAME}}`.
+ * The arguments after the first are available as parameters, exactly
+ * as for {@link PTemplate}; for example the function name is
+ * `get(1)` in `{{#invoke:Module|fn}}`.
+ * @extends PTransclusion
  */
-class PTag extends PNode {
+class PParserFunction extends PTransclusion {
+	/**
+	 * The canonical name of the parser function, in lowercase and
+	 * without a leading `#`, like `"if"` or `"invoke"`.
+	 * @prop {string}
+	 * @readonly
+	 */
+	get name() {
+		return this._template.template.target.function.toLowerCase();
+	}
 
 	/**
-	 * The name of the tag, in lowercase.
+	 * Test whether this parser function has the given name, ignoring
+	 * case and any leading `#` or trailing `:`.
+	 * @param {string} name The parser function name to test against.
+	 * @return {boolean}
 	 */
-	get tagName() { return this.node.tagName.toLowerCase(); }
+	nameMatches(name) {
+		return name.replace(/^#|:$/g, '').toLowerCase() === this.name;
+	}
 
 	/**
-	 * The contents of the tag, as a {@PNodeList} object.
-	 * You can assign a String, Node, or PNodeList to mutate the contents.
-	 * @prop {PNodeList}
+	 * The first argument of the parser function, which follows the
+	 * colon, as a {@link PNodeList}: for example `Module` in
+	 * `{{#invoke:Module|fn}}`.  This is `null` if there is no colon,
+	 * as in `{{PAGENAME}}`.  You can assign `null`, a Node, or a
+	 * PNodeList to mutate the argument; strings are treated as wikitext.
+	 * As with {@link PTemplate#name}, arguments which contain templates
+	 * must be parsed with {@link PNodeList#expandTemplateNames}.
+	 * @prop {PNodeList|null}
 	 */
-	get contents() { return innerAccessorGet(this); }
-	set contents(v) { innerAccessorSet(this, v); }
+	get firstArg() {
+		const arg = this._targetWt;
+		return arg === null ? null : this._targetList(arg, true);
+	}
+	set firstArg(v) {
+		reportChange(this, 'firstArg', () => {
+			if (v === null || v === undefined || typeof v === 'string') {
+				if (typeof v === 'string' && /\{\{/.test(v)) {
+					parsedTarget(this.pdoc, v); // check that it was parsed
+				}
+				const t = this._template;
+				delete t.template.target.html;
+				t.template.target.wt = this._prefix +
+					(typeof v === 'string' ? ':' + v : '');
+				this._storeTemplate(t);
+			} else {
+				const div = this.ownerDocument.createElement('div');
+				div.innerHTML = toHtmlStr(div, v);
+				this._setTarget(div);
+			}
+			this.update();
+		});
+	}
 
-	_children() { return [this.contents]; }
+	// Internal helper: the function name, before the colon.
+	get _prefix() {
+		const wt = this._template.template.target.wt;
+		const colon = wt.indexOf(':');
+		return colon < 0 ? wt : wt.slice(0, colon);
+	}
+
+	// Internal helper: the wikitext after the colon, or `null`.
+	get _targetWt() {
+		const wt = this._template.template.target.wt;
+		const colon = wt.indexOf(':');
+		return colon < 0 ? null : wt.slice(colon + 1);
+	}
+
+	// Internal helper: set the wikitext after the colon in the template
+	// data `t`.
+	_storeTargetWt(t, wt) {
+		const old = this._targetWt;
+		t.template.target.wt = this._prefix + ':' +
+			(old === null ? wt : keepSpace(old, wt));
+	}
+
+	_children() {
+		const arg = this._targetWt;
+		const list = arg === null ? null : this._targetList(arg, false);
+		return (list ? [ list ] : []).concat(super._children());
+	}
 }
 /**
  * @ignore
  * @static
  * @private
  */
-PTag._selector = '*'; // any otherwise-unmatched element
+PParserFunction._selector = PTransclusion._selector;
 
 /**
- * PComment represents a hidden HTML comment, like `<!-- fobar -->`.
+ * PRedirect represents a redirect, like `#REDIRECT [[Foo]]`.
  * @extends PNode
  */
-class PComment extends PNode {
-
+class PRedirect extends PNode {
 	/**
-	 * The hidden text contained between `<!--` and `-->`.
+	 * The title of the redirect target.
 	 * @prop {string}
 	 */
-	get contents() {
-		return DU.decodeComment(this.node.data);
+	get target() {
+		return this.node.getAttribute('href').replace(/^.\//, '');
 	}
-	set contents(v) {
-		this.node.data = DU.encodeComment(v);
-		this.update();
+	set target(v) {
+		reportChange(this, 'target', () => {
+			const href = './' + this.pdoc.env.normalizedTitleKey(v);
+			this.node.setAttribute('href', href);
+			this.update();
+		});
 	}
 }
 /**
@@ -701,225 +3846,562 @@ class PComment extends PNode {
  * @static
  * @private
  */
-PComment._selector = 'COMMENT'; // non-standard selector
+PRedirect._selector = 'link[rel="mw:PageProp/redirect"]';
 
 /**
- * PExtLink represents an external link, like `[http://example.com Example]`.
- * @extends PNode
+ * PSection represents a section of the document, starting with a
+ * heading like `== Foo ==` and extending to the next heading of the
+ * same or a higher level.  Sections are nested: a section contains the
+ * sections for its subheadings.  Use {@link PNode#remove} to delete a
+ * section along with its subsections.
+ * @extends PTag
  */
-class PExtLink extends PNode {
+class PSection extends PTag {
 
 	/**
-	 * The name of the tag, in lowercase.
+	 * The section id. 0 is the lead section, negative numbers are used for
+	 * "pseudo-sections".  Sections added through the API have no id, and
+	 * this is `null`.
+	 * @prop {number|null}
 	 */
-	get tagName() { return this.node.tagName.toLowerCase(); }
+	get sectionId() {
+		const id = this.node.getAttribute('data-mw-section-id');
+		return id === null ? null : +id;
+	}
 
 	/**
-	 * The URL of the link target.
-	 * @prop {string}
+	 * The heading of this section, as a {@link PHeading}, or `null` for
+	 * the lead section.
+	 * @prop {PHeading|null}
+	 * @readonly
 	 */
-	get url() {
-		// XXX url should be a PNodeList, but that requires handling
-		// typeof="mw:ExpandedAttrs"
-		return this.node.getAttribute('href');
+	get heading() {
+		const h = sectionHeadingNode(this.node);
+		return h ? new PHeading(this.pdoc, this, h) : null;
 	}
-	set url(v) {
-		this.node.setAttribute('href', v);
+
+	/**
+	 * The level of the heading of this section, as an integer between
+	 * 1 and 6 inclusive, or 0 for the lead section.
+	 * @prop {number}
+	 * @readonly
+	 */
+	get level() {
+		const h = sectionHeadingNode(this.node);
+		return h ? +h.nodeName.slice(1) : 0;
 	}
 
 	/**
-	 * The link title, as a {@link PNodeList}.
-	 * You can assign a String, Node, or PNodeList to mutate the title.
+	 * The sections nested directly inside this one, as an array of
+	 * {@link PSection}.
+	 * @prop {PSection[]}
+	 * @readonly
+	 */
+	get subsections() {
+		const parent = new PNodeList(this.pdoc, this, this.node);
+		return Array.from(this.node.children)
+			.filter(n => n.nodeName === 'SECTION')
+			.map(n => new PSection(this.pdoc, parent, n));
+	}
+
+	/**
+	 * The section containing this one, as a {@link PSection}, or `null`
+	 * if this is a top-level section.
+	 * @prop {PSection|null}
+	 * @readonly
+	 */
+	get parentSection() {
+		const p = this.node.parentNode;
+		return (p && p.nodeName === 'SECTION') ?
+			new PSection(this.pdoc, this.parent, p) : null;
+	}
+
+	// Internal helper: the DOM nodes between the heading and the first
+	// subsection.
+	get _bodyNodes() {
+		const heading = sectionHeadingNode(this.node);
+		const nodes = [];
+		for (let n = heading ? heading.nextSibling : this.node.firstChild;
+			n && n.nodeName !== 'SECTION'; n = n.nextSibling) {
+			nodes.push(n);
+		}
+		return nodes;
+	}
+
+	/**
+	 * The contents of this section, not including its heading or any
+	 * subsections, as a {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to mutate the contents.
 	 * @prop {PNodeList}
 	 */
-	get title() { return innerAccessorGet(this); }
-	set title(v) { innerAccessorSet(this, v); }
+	get body() {
+		const div = this.ownerDocument.createElement('div');
+		this._bodyNodes.forEach(n => div.appendChild(n.cloneNode(true)));
+		return new PNodeList(this.pdoc, this, div, {
+			update: function() {
+				this.parent._setBody(this.container);
+			},
+		});
+	}
+	set body(v) {
+		reportChange(this, 'body', () => {
+			const div = this.ownerDocument.createElement('div');
+			div.innerHTML = toHtmlStr(div, v);
+			this._setBody(div);
+			this.update();
+		});
+	}
 
-	// XXX include this.url, once it is a PNodeList
-	_children() { return [this.title]; }
-}
+	// Internal helper: replace our contents with copies of the children
+	// of `div`, leaving the heading and subsections alone.
+	_setBody(div) {
+		const nodes = this._bodyNodes;
+		const next = nodes.length ? nodes[nodes.length - 1].nextSibling :
+			Array.from(this.node.children).find(n => n.nodeName === 'SECTION');
+		nodes.forEach(n => this.node.removeChild(n));
+		Array.from(div.childNodes).forEach((n) => {
+			this.node.insertBefore(n.cloneNode(true), next || null);
+		});
+	}
 
-/**
- * @ignore
- * @static
- * @private
- */
-PExtLink._selector = 'a[rel="mw:ExtLink"]';
+	// Internal helper: change the level of this section and all of its
+	// subsections by `delta`.
+	_shiftLevels(delta) {
+		const headings = [ this.node ]
+			.concat(Array.from(this.node.querySelectorAll('section')))
+			.map(sectionHeadingNode)
+			.filter(h => h !== null);
+		headings.forEach((h) => {
+			const level = +h.nodeName.slice(1) + delta;
+			if (level < 1 || level > 6) {
+				throw new Error("Level must be between 1 and 6, inclusive.");
+			}
+		});
+		headings.forEach((h) => {
+			const heading = new PHeading(this.pdoc, null, h);
+			heading.level += delta;
+		});
+	}
 
-/**
- * PHeading represents a section heading in wikitext, like `== Foo ==`.
- * @extends PNode
- */
-class PHeading extends PNode {
+	// Internal helper: move this section next to `target`, at its level.
+	_moveTo(target, before) {
+		if (target.node === this.node || this.node.contains(target.node)) {
+			throw new Error('Cannot move a section into itself');
+		}
+		if (this.level > 0 && target.level > 0) {
+			this._shiftLevels(target.level - this.level);
+		}
+		target.node.parentNode.insertBefore(
+			this.node, before ? target.node : target.node.nextSibling
+		);
+		this.update();
+	}
 
 	/**
-	 * The name of the tag, in lowercase.
+	 * Move this section, along with its subsections, to just before the
+	 * `target` section.  The headings are adjusted to the level of the
+	 * target.
+	 * @param {PSection} target
 	 */
-	get tagName() { return this.node.tagName.toLowerCase(); }
+	moveBefore(target) { this._moveTo(target, true); }
 
 	/**
-	 * The heading level, as an integer between 1 and 6 inclusive.
-	 * @prop {number}
+	 * Move this section, along with its subsections, to just after the
+	 * `target` section (and its subsections).  The headings are adjusted
+	 * to the level of the target.
+	 * @param {PSection} target
 	 */
-	get level() {
-		return +this.node.nodeName.slice(1);
+	moveAfter(target) { this._moveTo(target, false); }
+
+	// Internal helper: create a new section with the given heading.
+	_newSection(level, title, body) {
+		const section = this.ownerDocument.createElement('section');
+		const h = this.ownerDocument.createElement('h' + level);
+		h.innerHTML = toHtmlStr(h, title);
+		section.appendChild(h);
+		if (body !== undefined) {
+			toDomNodes(section, body).forEach(n => section.appendChild(n));
+		}
+		return section;
 	}
-	set level(v) {
-		v = +v;
-		if (v === this.level) {
-			return;
-		} else if (v >= 1 && v <= 6) {
-			const nh = this.ownerDocument.createElement('h' + v);
-			while (this.node.firstChild !== null) {
-				nh.appendChild(this.node.firstChild);
-			}
-			this.node.parentNode.replaceChild(nh, this.node);
-			this.node = nh;
-			this.update();
-		} else {
+
+	/**
+	 * Insert a new section after this one (and its subsections), with a
+	 * heading at the same level as this section.
+	 * @param {string|Node|PNodeList} title The heading of the new section.
+	 * @param {string|Node|PNodeList} [body] The contents of the new section.
+	 * @return {PSection} The new section.
+	 */
+	addSectionAfter(title, body) {
+		if (this.level === 0) {
+			throw new Error('The lead section has no level');
+		}
+		const section = this._newSection(this.level, title, body);
+		this.node.parentNode.insertBefore(section, this.node.nextSibling);
+		this.update();
+		return new PSection(this.pdoc, this.parent, section);
+	}
+
+	/**
+	 * Add a new subsection at the end of this section, with a heading
+	 * one level below this section.
+	 * @param {string|Node|PNodeList} title The heading of the new section.
+	 * @param {string|Node|PNodeList} [body] The contents of the new section.
+	 * @return {PSection} The new section.
+	 */
+	addSubsection(title, body) {
+		const level = Math.max(this.level + 1, 2);
+		if (level > 6) {
 			throw new Error("Level must be between 1 and 6, inclusive.");
 		}
+		const section = this._newSection(level, title, body);
+		this.node.appendChild(section);
+		this.update();
+		return new PSection(this.pdoc, new PNodeList(this.pdoc, this, this.node), section);
 	}
 
 	/**
-	 * The title of the heading, as a {@link PNodeList}.
-	 * You can assign a String, Node, or PNodeList to mutate the title.
-	 * @prop {PNodeList}
+	 * Decrease the heading level of this section and its subsections by
+	 * one (`=== Foo ===` becomes `== Foo ==`).  If this section was a
+	 * subsection, it becomes a sibling of its former parent, and any
+	 * following subsections of the former parent become subsections of
+	 * this one, so that the document order is preserved.
 	 */
-	get title() { return innerAccessorGet(this); }
-	set title(v) { innerAccessorSet(this, v); }
+	promote() {
+		this._shiftLevels(-1);
+		const parent = this.node.parentNode;
+		const parentLevel = parent.nodeName === 'SECTION' ?
+			new PSection(this.pdoc, null, parent).level : 0;
+		if (parentLevel > 0 && parentLevel >= this.level) {
+			while (this.node.nextSibling) {
+				this.node.appendChild(this.node.nextSibling);
+			}
+			parent.parentNode.insertBefore(this.node, parent.nextSibling);
+		}
+		this.update();
+	}
 
-	_children() { return [this.title]; }
+	/**
+	 * Increase the heading level of this section and its subsections by
+	 * one (`== Foo ==` becomes `=== Foo ===`).  If the previous section
+	 * has a lower level, this section becomes its last subsection.
+	 */
+	demote() {
+		this._shiftLevels(1);
+		const prev = this.node.previousElementSibling;
+		if (prev && prev.nodeName === 'SECTION') {
+			const prevLevel = new PSection(this.pdoc, null, prev).level;
+			if (prevLevel > 0 && prevLevel < this.level) {
+				prev.appendChild(this.node);
+			}
+		}
+		this.update();
+	}
 }
 /**
  * @ignore
  * @static
  * @private
  */
-PHeading._selector = 'h1,h2,h3,h4,h5,h6';
+PSection._selector = 'section';
+
 
 /**
- * PHtmlEntity represents an HTML entity, like `&nbsp;`.
- * @extends PNode
+ * PTable represents a table, like `{| ... |}`.  It provides a model of
+ * the table as a grid of cells, taking `rowspan` and `colspan` into
+ * account: a cell spanning several rows or columns occupies every
+ * grid position it covers.
+ * @extends PTag
  */
-class PHtmlEntity extends PNode {
+class PTable extends PTag {
 
 	/**
-	 * The character represented by the HTML entity.
-	 * @prop {string}
+	 * The table caption, as a {@link PNodeList}, or `null` if there is
+	 * none.  You can assign `null`, a String, Node, or PNodeList to
+	 * mutate the caption.
+	 * @prop {PNodeList|null}
 	 */
-	get normalized() { return this.node.textContent; }
-	set normalized(v) {
-		this.node.textContent = v;
-		this.node.removeAttribute('data-parsoid');
-		this.update();
+	get caption() {
+		const c = this._captionNode;
+		return c ? new PNodeList(this.pdoc, this, c) : null;
+	}
+	set caption(v) {
+		reportChange(this, 'caption', () => {
+			let c = this._captionNode;
+			if (v === null || v === undefined) {
+				if (c) { this.node.removeChild(c); }
+			} else {
+				if (!c) {
+					c = this.ownerDocument.createElement('caption');
+					this.node.insertBefore(c, this.node.firstChild);
+				}
+				c.innerHTML = toHtmlStr(c, v);
+			}
+			this.update();
+		});
+	}
+
+	get _captionNode() {
+		return Array.from(this.node.children)
+			.find(n => n.nodeName === 'CAPTION') || null;
+	}
+
+	// Internal helper: the <tr> elements of this table (but not of any
+	// nested tables), in order.
+	get _trs() {
+		const result = [];
+		Array.from(this.node.children).forEach((n) => {
+			if (n.nodeName === 'TR') {
+				result.push(n);
+			} else if (/^(THEAD|TBODY|TFOOT)$/.test(n.nodeName)) {
+				Array.from(n.children).forEach((tr) => {
+					if (tr.nodeName === 'TR') { result.push(tr); }
+				});
+			}
+		});
+		return result;
+	}
+
+	// Internal helper: compute the grid of cells.  Each grid position
+	// holds a record of the cell element and its origin row and column.
+	get _grid() {
+		const trs = this._trs;
+		const grid = trs.map(() => []);
+		trs.forEach((tr, r) => {
+			let col = 0;
+			Array.from(tr.children).filter(isTableCell).forEach((td) => {
+				while (grid[r][col]) { col++; }
+				let rowspan = cellSpan(td, 'rowspan');
+				if (rowspan === 0) { rowspan = trs.length - r; }
+				const colspan = Math.max(1, cellSpan(td, 'colspan'));
+				const entry = { node: td, row: r, col: col };
+				for (let i = 0; i < rowspan && r + i < trs.length; i++) {
+					for (let j = 0; j < colspan; j++) {
+						grid[r + i][col + j] = entry;
+					}
+				}
+				col += colspan;
+			});
+		});
+		return grid;
+	}
+
+	/**
+	 * The rows of the table, as an array of {@link PTable.Row}.
+	 * @prop {PTable.Row[]}
+	 * @readonly
+	 */
+	get rows() {
+		return this._trs.map(tr => this._wrapRow(tr));
+	}
+
+	/**
+	 * The number of columns in the table.
+	 * @prop {number}
+	 * @readonly
+	 */
+	get columnCount() {
+		return this._grid.reduce((max, row) => Math.max(max, row.length), 0);
+	}
+
+	_wrapRow(tr) {
+		return new PTable.Row(this.pdoc, new PNodeList(this.pdoc, this, tr.parentNode), tr);
+	}
+
+	_wrapCell(td) {
+		return new PTable.Cell(this.pdoc, new PNodeList(this.pdoc, this, td.parentNode), td);
+	}
+
+	/**
+	 * Return the contents of the cell at the given row and column, as a
+	 * {@link PNodeList}, or `null` if there is no such cell.  A cell
+	 * which spans several rows or columns is returned for every position
+	 * it covers.  Use {@link #cellAt} to get at the attributes of the
+	 * cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @return {PNodeList|null}
+	 */
+	cell(row, col) {
+		const cell = this.cellAt(row, col);
+		return cell ? cell.contents : null;
 	}
 
 	/**
-	 * Extends {@link PNode#matches} to allow a target string to match
-	 * if it matches this node's #normalized character.
-	 * @inheritdoc
-	 * @param {Node|PNode|string} target
+	 * Return the cell at the given row and column, as a
+	 * {@link PTable.Cell}, or `null` if there is no such cell.  As with
+	 * {@link #cell}, a cell which spans several rows or columns is
+	 * returned for every position it covers.
+	 * @param {number} row
+	 * @param {number} col
+	 * @return {PTable.Cell|null}
 	 */
-	matches(target) {
-		return super.matches(target) || this.normalized === target;
+	cellAt(row, col) {
+		const entry = (this._grid[row] || [])[col];
+		return entry ? this._wrapCell(entry.node) : null;
 	}
-}
-/**
- * @ignore
- * @static
- * @private
- */
-PHtmlEntity._selector = '[typeof="mw:Entity"]';
-
-/**
- * PMedia represents an image or audio/video element in wikitext,
- * like `[[File:Foobar.jpg|caption]]`.
- * @extends PNode
- */
-class PMedia extends PNode {
 
 	/**
-	 * The name of the tag, in lowercase.
+	 * Replace the contents of the cell at the given row and column.
+	 * Throws an {@link Error} if there is no such cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @param {string|Node|PNodeList} value
+	 * @return {PTable.Cell} The mutated cell.
 	 */
-	get tagName() { return this.node.tagName.toLowerCase(); }
-
-	// Internal helper: is the outer element a <figure> or a <span>?
-	get _isBlock() { return this.node.tagName === 'FIGURE'; }
-	// Internal helper: get at the 'caption' property in the dataMw
-	get _caption() {
-		const c = this.dataMw.caption;
-		return c === undefined ? null : c;
+	setCell(row, col, value) {
+		const cell = this.cellAt(row, col);
+		if (!cell) {
+			throw new Error('No cell at ' + row + ',' + col);
+		}
+		cell.contents = value;
+		return cell;
 	}
-	set _caption(v) {
-		const dmw = this.dataMw;
-		if (v === undefined || v === null) {
-			delete dmw.caption;
-		} else {
-			dmw.caption = v;
+
+	// Internal helper: create a new cell, matching the header-ness of
+	// `like` if given.
+	_newCell(like, value) {
+		const tag = (like && like.nodeName === 'TH') ? 'th' : 'td';
+		const td = this.ownerDocument.createElement(tag);
+		if (value !== undefined && value !== null) {
+			td.innerHTML = toHtmlStr(td, value);
 		}
-		this.dataMw = dmw;
+		return td;
 	}
 
 	/**
-	 * The caption of the image or media file, or `null` if not present.
-	 * You can assign `null`, a String, Node, or PNodeList to mutate the
-	 * contents.
-	 * @prop {PNodeList|null}
+	 * Insert a new row before row `index`.  If `index` is equal to the
+	 * number of rows, the new row is appended.  Cells in earlier rows
+	 * which span across the new row are extended to cover it.
+	 * @param {number} index
+	 * @param {Array} [values]
+	 *   The contents of the new cells, as Strings, Nodes, or PNodeLists.
+	 * @return {PTable.Row} The new row.
 	 */
-	get caption() {
-		let c, captionDiv;
-		// Note that _cachedNodeList is null if caption is missing.
-		if (this._cachedNodeList === undefined) {
-			if (this._isBlock) {
-				c = this.node.firstChild.nextSibling;
-				this._cachedNodeList =
-					c ? new PNodeList(this.pdoc, this, c) : null;
-			} else {
-				c = this._caption;
-				if (c === null) {
-					this._cachedNodeList = null;
-				} else {
-					captionDiv = this.ownerDocument.createElement('div');
-					captionDiv.innerHTML = c;
-					this._cachedNodeList = new PNodeList(
-						this.pdoc, this, captionDiv, {
-							update: function() {
-								this.parent._caption = this.container.innerHTML;
-							},
-						});
+	insertRow(index, values) {
+		const trs = this._trs;
+		const grid = this._grid;
+		if (index < 0 || index > trs.length) {
+			throw new Error('Index out of range: ' + index);
+		}
+		const width = this.columnCount;
+		const tr = this.ownerDocument.createElement('tr');
+		const extended = new Set();
+		for (let col = 0, v = 0; col < width; col++) {
+			const entry = index < trs.length ? grid[index][col] : undefined;
+			if (entry && entry.row < index) {
+				if (!extended.has(entry.node)) {
+					extended.add(entry.node);
+					setCellSpan(entry.node, 'rowspan', cellSpan(entry.node, 'rowspan') + 1);
 				}
+				continue;
 			}
+			const like = (grid[index - 1] || grid[index] || [])[col];
+			tr.appendChild(this._newCell(like && like.node, values && values[v++]));
 		}
-		return this._cachedNodeList;
+		if (index < trs.length) {
+			trs[index].parentNode.insertBefore(tr, trs[index]);
+		} else if (trs.length > 0) {
+			trs[trs.length - 1].parentNode.appendChild(tr);
+		} else {
+			const tbody = this.ownerDocument.createElement('tbody');
+			tbody.appendChild(tr);
+			this.node.appendChild(tbody);
+		}
+		this.update();
+		return this._wrapRow(tr);
 	}
-	set caption(v) {
-		this._cachedNodeList = undefined;
-		if (this._isBlock) {
-			let c = this.node.firstChild.nextSibling;
-			if (v === null || v === undefined) {
-				if (c) {
-					this.node.removeChild(c);
-					this.update();
-				}
-			} else {
-				if (!c) {
-					c = this.ownerDocument.createElement('figcaption');
-					this.node.appendChild(c);
-				}
-				c.innerHTML = toHtmlStr(c, v);
-				this.update();
+
+	/**
+	 * Delete row `index`.  Cells which span across the deleted row are
+	 * shortened; cells which start in the deleted row and span further
+	 * rows are moved down into the next row.
+	 * @param {number} index
+	 */
+	deleteRow(index) {
+		const trs = this._trs;
+		const grid = this._grid;
+		if (index < 0 || index >= trs.length) {
+			throw new Error('Index out of range: ' + index);
+		}
+		const seen = new Set();
+		grid[index].forEach((entry) => {
+			if (!entry || seen.has(entry.node)) { return; }
+			seen.add(entry.node);
+			const rowspan = cellSpan(entry.node, 'rowspan');
+			if (entry.row < index) {
+				setCellSpan(entry.node, 'rowspan', rowspan - 1);
+			} else if (rowspan > 1 && index + 1 < trs.length) {
+				// Move the cell down to the next row.
+				const ref = grid[index + 1].find(
+					e => e && e.row === index + 1 && e.col > entry.col
+				);
+				trs[index + 1].insertBefore(entry.node, ref ? ref.node : null);
+				setCellSpan(entry.node, 'rowspan', rowspan - 1);
 			}
-		} else {
-			this._caption = (v === null || v === undefined) ? v :
-				toHtmlStr(this.node, v);
-			this.update();
+		});
+		trs[index].parentNode.removeChild(trs[index]);
+		this.update();
+	}
+
+	/**
+	 * Insert a new column before column `index`.  If `index` is equal
+	 * to {@link #columnCount}, the new column is appended.  Cells which
+	 * span across the new column are extended to cover it.
+	 * @param {number} index
+	 * @param {Array} [values]
+	 *   The contents of the new cells, as Strings, Nodes, or PNodeLists.
+	 */
+	insertColumn(index, values) {
+		const trs = this._trs;
+		const grid = this._grid;
+		if (index < 0 || index > this.columnCount) {
+			throw new Error('Index out of range: ' + index);
 		}
+		const extended = new Set();
+		let v = 0;
+		trs.forEach((tr, r) => {
+			const entry = grid[r][index];
+			if (entry && entry.col < index) {
+				if (!extended.has(entry.node)) {
+					extended.add(entry.node);
+					setCellSpan(entry.node, 'colspan', cellSpan(entry.node, 'colspan') + 1);
+				}
+				return;
+			}
+			const ref = grid[r].find(e => e && e.row === r && e.col >= index);
+			const like = entry || grid[r][index - 1];
+			tr.insertBefore(
+				this._newCell(like && like.node, values && values[v++]),
+				ref ? ref.node : null
+			);
+		});
+		this.update();
 	}
 
-	_children() {
-		const c = this.caption;
-		return c ? [ c ] : [];
+	/**
+	 * Delete column `index`.  Cells which span across the deleted column
+	 * are narrowed; other cells in the column are removed.
+	 * @param {number} index
+	 */
+	deleteColumn(index) {
+		const grid = this._grid;
+		if (index < 0 || index >= this.columnCount) {
+			throw new Error('Index out of range: ' + index);
+		}
+		const seen = new Set();
+		grid.forEach((row) => {
+			const entry = row[index];
+			if (!entry || seen.has(entry.node)) { return; }
+			seen.add(entry.node);
+			const colspan = cellSpan(entry.node, 'colspan');
+			if (colspan > 1) {
+				setCellSpan(entry.node, 'colspan', colspan - 1);
+			} else {
+				entry.node.parentNode.removeChild(entry.node);
+			}
+		});
+		this.update();
 	}
 }
 /**
@@ -927,196 +4409,201 @@ class PMedia extends PNode {
  * @static
  * @private
  */
-PMedia._selector = 'figure,[typeof~="mw:Image"]';
+PTable._selector = 'table';
 
 /**
- * PSection represents an internal wikilink, like `[[Foo|Bar]]`.
+ * Represents a row of a {@link PTable}.
  * @extends PTag
  */
-class PSection extends PTag {
+PTable.Row = class Row extends PTag {
+	/**
+	 * The cells which begin in this row, as an array of
+	 * {@link PTable.Cell}.  Note that cells from earlier rows may
+	 * span into this one; use {@link PTable#cellAt} to find those.
+	 * @prop {PTable.Cell[]}
+	 * @readonly
+	 */
+	get cells() {
+		const parent = new PNodeList(this.pdoc, this, this.node);
+		return Array.from(this.node.children).filter(isTableCell)
+			.map(td => new PTable.Cell(this.pdoc, parent, td));
+	}
 
 	/**
-	 * The section id. 0 is the lead section, negative numbers are used for
-	 * "pseudo-sections".
-	 * @prop {number}
+	 * `true` if this row only contains header cells.
+	 * @prop {boolean}
+	 * @readonly
 	 */
-	get sectionId() {
-		return +this.node.getAttribute('data-mw-section-id');
+	get isHeader() {
+		const cells = this.cells;
+		return cells.length > 0 && cells.every(c => c.isHeader);
 	}
-}
-/**
- * @ignore
- * @static
- * @private
- */
-PSection._selector = 'section';
+};
 
 /**
- * PTemplate represents a wikitext template, like `{{foo}}`.
- * @extends PNode
+ * Represents a cell of a {@link PTable}.  Use {@link PTag#contents}
+ * to get at the contents of the cell.
+ * @extends PTag
  */
-class PTemplate extends PNode {
+PTable.Cell = class Cell extends PTag {
 	/**
-	 * @private
-	 * @param {PDoc} pdoc The parent document for this PNode.
-	 * @param {PNodeList|null} parent A containing node list which will receive
-	 *    updates when this {@link PNode} is mutated.
-	 * @param {Node} node The DOM node.
-	 * @param {number} which A single {@link Node} can represent multiple
-	 *   templates; this parameter serves to distinguish them.
+	 * `true` if this is a header cell (`<th>`).
+	 * @prop {boolean}
+	 * @readonly
 	 */
-	constructor(pdoc, parent, node, which) {
-		super(pdoc, parent, node, {
-			wtsNodes: function() {
-				// Templates are actually a collection of nodes.
-				return this.parent._querySelectorAll('[about="' + this.node.getAttribute('about') + '"]');
-			},
-		});
-		this.which = which;
-		this._cachedParams = Object.create(null);
-	}
-
-	get _template() {
-		return this.dataMw.parts[this.which];
-	}
-	set _template(v) {
-		const dmw = this.dataMw;
-		dmw.parts[this.which] = v;
-		this.dataMw = dmw;
-	}
+	get isHeader() { return this.node.nodeName === 'TH'; }
 
 	/**
-	 * The name of the template, as a String.
-	 *
-	 * See: [T107194](https://phabricator.wikimedia.org/T107194)
-	 * @prop {string}
+	 * The number of rows spanned by this cell.
+	 * @prop {number}
 	 */
-	get name() {
-		// This should really be a PNodeList; see T107194
-		return this._template.template.target.wt;
-	}
-	set name(v) {
-		const t = this._template;
-		t.template.target.wt = v;
-		t.template.target.href = './' +
-			this.pdoc.env.normalizedTitleKey('Template:' + v);
-		this._template = t;
+	get rowspan() { return cellSpan(this.node, 'rowspan'); }
+	set rowspan(v) {
+		reportChange(this, 'rowspan', () => {
+			setCellSpan(this.node, 'rowspan', v);
+			this.update();
+		});
 	}
 
 	/**
-	 * Test whether the name of this template matches a given string, after
-	 * normalizing titles.
-	 * @param {string} name The template name to test against.
-	 * @return {boolean}
+	 * The number of columns spanned by this cell.
+	 * @prop {number}
 	 */
-	nameMatches(name) {
-		const href = './' + this.pdoc.env.normalizedTitleKey('Template:' + name);
-		return this._template.template.target.href === href;
+	get colspan() { return cellSpan(this.node, 'colspan'); }
+	set colspan(v) {
+		reportChange(this, 'colspan', () => {
+			setCellSpan(this.node, 'colspan', v);
+			this.update();
+		});
 	}
 
 	/**
-	 * The parameters supplied to this template.
-	 * @prop {PTemplate.Parameter[]}
+	 * Return the value of the cell attribute `name`, like `"style"`,
+	 * or `null` if the attribute is not present.
+	 * @param {string} name
+	 * @return {string|null}
 	 */
-	get params() {
-		return Object.keys(this._template.template.params).sort().map((k) => {
-			return this.get(k);
-		});
+	getAttribute(name) {
+		return this.node.getAttribute(name);
 	}
 
 	/**
-	 * Return `true` if any parameter in the template is named `name`.
-	 * With `ignoreEmpty`, `false` will be returned even if the template
-	 * contains a parameter named `name`, if the parameter's value is empty
-	 * (ie, only contains whitespace).  Note that a template may have
-	 * multiple parameters with the same name, but only the last one is
-	 * read by Parsoid (and the MediaWiki parser).
-	 * @param {string|PTemplate.Parameter} name
-	 * @param {Object} [opts]
-	 * @param {boolean} [opts.ignoreEmpty=false]
+	 * Set the value of the cell attribute `name`.  Use `null` to
+	 * remove the attribute.
+	 * @param {string} name
+	 * @param {string|null} value
 	 */
-	has(name, opts) {
-		if (name instanceof PTemplate.Parameter) {
-			name = name.name;
+	setAttribute(name, value) {
+		if (value === null || value === undefined) {
+			this.node.removeAttribute(name);
+		} else {
+			this.node.setAttribute(name, String(value));
 		}
-		const t = this._template.template;
-		return Object.prototype.hasOwnProperty.call(t.params, name) && (
-			(opts && opts.ignoreEmpty) ?
-				!/^\s*$/.test(t.params[name].html) : true
-		);
+		this.update();
 	}
+};
 
+/**
+ * PTemplate represents a wikitext template, like `{{foo}}`.
+ * @extends PTransclusion
+ */
+class PTemplate extends PTransclusion {
 	/**
-	 * Add a parameter to the template with a given `name` and `value`.
-	 * If `name` is already a parameter in the template, we'll replace
-	 * its value.
-	 * @param {string|PTemplate.Parameter} name
-	 * @param {string|Node|PNodeList} value
+	 * The name of the template, as a {@link PNodeList}.  The name may
+	 * itself contain templates, as in `{{ {{lang}}-stub }}`; these are
+	 * parsed by Parsoid when the document is (see
+	 * {@link PNodeList#expandTemplateNames}).
+	 * You can assign a Node or PNodeList to mutate the name; strings
+	 * are treated as wikitext, as with {@link #nameText}.
+	 *
+	 * See: [T107194](https://phabricator.wikimedia.org/T107194)
+	 * @prop {PNodeList}
 	 */
-	add(name, value) {
-		if (name instanceof PTemplate.Parameter) {
-			name = name.name;
-		}
-		const t = this._template;
-		const html = toHtmlStr(this.node, value);
-		t.template.params[name] = { html: html };
-		this._template = t;
+	get name() {
+		return this._targetList(this.nameText, true);
+	}
+	set name(v) {
+		reportChange(this, 'name', () => {
+			if (typeof v === 'string') {
+				this.nameText = v;
+				return;
+			}
+			const div = this.ownerDocument.createElement('div');
+			div.innerHTML = toHtmlStr(div, v);
+			this._setTarget(div);
+			this.update();
+		});
 	}
 
 	/**
-	 * Remove a parameter from the template with the given `name`.
-	 * If `keepField` is `true`, we will keep the parameter's name but
-	 * blank its value.  Otherwise we will remove the parameter completely
-	 * *unless* other parameters are dependent on it (e.g. removing
-	 * `bar` from `{{foo|bar|baz}}` is unsafe because `{{foo|baz}}` is
-	 * not what we expected, so `{{foo||baz}}` will be produced instead).
-	 * @param {string|PTemplate.Parameter} name
-	 * @param {Object} [opts]
-	 * @param {boolean} [opts.keepField=false]
+	 * The name of the template, as a String of wikitext.  If you assign
+	 * wikitext containing templates, it must have been parsed with
+	 * {@link PNodeList#expandTemplateNames} first.  If the name was
+	 * edited as HTML (for example by changing a template in it), this
+	 * isn't updated until the document is serialized with
+	 * {@link PNodeList#toWikitext}.
+	 * @prop {string}
 	 */
-	remove(name, opts) {
-		if (name instanceof PTemplate.Parameter) {
-			name = name.name;
-		}
-		const t = this._template;
-		let keepField = opts && opts.keepField;
-		// if this is a numbered template, force keepField if there
-		// are subsequent numbered templates.
-		const isNumeric = (String(+name) === String(name));
-		if (isNumeric && this.has(1 + (+name))) {
-			keepField = true;
-		}
-		if (keepField) {
-			t.template.params[name] = { html: '' };
-		} else {
-			delete t.template.params[name];
+	get nameText() {
+		return this._template.template.target.wt;
+	}
+	set nameText(v) {
+		reportChange(this, 'nameText', () => {
+			const href = templateHref(this.pdoc.env, this._expandName(v));
+			const t = this._template;
+			delete t.template.target.html;
+			t.template.target.wt = v;
+			t.template.target.href = href;
+			this._template = t;
+		});
+	}
+
+	// Internal helper: the expanded text of the template name `wt`.
+	_expandName(wt) {
+		if (!/\{\{/.test(wt)) {
+			return wt;
 		}
-		this._template = t;
+		const div = this.ownerDocument.createElement('div');
+		div.innerHTML = parsedTarget(this.pdoc, wt);
+		return div.textContent;
+	}
+
+	get _targetWt() {
+		return this.nameText;
+	}
+
+	// Internal helper: set the name in the template data `t` to the
+	// wikitext `wt`, keeping the surrounding white space.
+	_storeTargetWt(t, wt) {
+		t.template.target.wt = keepSpace(t.template.target.wt, wt);
+		t.template.target.href = templateHref(this.pdoc.env, this._expandName(wt));
+	}
+
+	_setTarget(container) {
+		super._setTarget(container);
+		const t = this._template;
+		t.template.target.href = templateHref(this.pdoc.env, container.textContent);
+		this._storeTemplate(t);
 	}
 
 	/**
-	 * Get the parameter whose name is `name`.
-	 * @param {string|PTemplate.Parameter} name
-	 * @return {PTemplate.Parameter} The parameter record.
+	 * Test whether the name of this template matches a given string, after
+	 * normalizing titles.  For templated names, like `{{ {{lang}}-stub }}`,
+	 * this compares against the expanded name.
+	 * @param {string} name The template name to test against.
+	 * @return {boolean}
 	 */
-	get(name) {
-		if (name instanceof PTemplate.Parameter) {
-			name = name.name;
-		}
-		if (!this._cachedParams[name]) {
-			this._cachedParams[name] = new PTemplate.Parameter(this, name);
-		}
-		return this._cachedParams[name];
+	nameMatches(name) {
+		return this._template.template.target.href ===
+			templateHref(this.pdoc.env, name);
 	}
 
 	_children() {
-		const result = [];
-		this.params.forEach((k) => {
-			const p = this.get(k);
-			if (p.key) { result.push(p.key); }
-			result.push(p.value);
-		});
-		return result;
+		// Only include the name if it is more than plain text.
+		const target = this._template.template.target;
+		const list = (/\{\{/.test(target.wt) || typeof target.html === 'string') ?
+			this._targetList(target.wt, false) : null;
+		return (list ? [ list ] : []).concat(super._children());
 	}
 }
 /**
@@ -1124,7 +4611,7 @@ class PTemplate extends PNode {
  * @static
  * @private
  */
-PTemplate._selector = '[typeof~="mw:Transclusion"]';
+PTemplate._selector = PTransclusion._selector;
 
 /**
  * Represents a parameter of a template.
@@ -1147,7 +4634,14 @@ PTemplate.Parameter = class Parameter {
 		const doc = parent.ownerDocument;
 		const param = parent._template.template.params[k];
 		const valDiv = doc.createElement('div');
-		valDiv.innerHTML = param.html;
+		if (param.html === undefined) {
+			// The data-mw may give the value as wikitext instead.
+			valDiv.textContent = param.wt || '';
+		} else {
+			valDiv.innerHTML = param.html;
+		}
+		// The document, for change events.
+		this.pdoc = parent.pdoc;
 		this._name = k;
 		this._value = new PNodeList(parent.pdoc, parent, valDiv, {
 			update: function() {
@@ -1197,14 +4691,17 @@ PTemplate.Parameter = class Parameter {
 	 */
 	get key() { return this._key._hasKey ? this._key : null; }
 	set	key(v) {
-		if (v === null || v === undefined) {
-			this._key.container.innerHTML = '';
-			this._key._hasKey = false;
-		} else {
-			this._key.container.innerHTML =
-				toHtmlStr(this._key.container, v);
-		}
-		this._key.update();
+		reportChange(this, 'key', () => {
+			if (v === null || v === undefined) {
+				this._key.container.innerHTML = '';
+				this._key._hasKey = false;
+			} else {
+				this._key.container.innerHTML =
+					toHtmlStr(this._key.container, v);
+				this._key._hasKey = true;
+			}
+			this._key.update();
+		});
 	}
 
 	/**
@@ -1213,9 +4710,11 @@ PTemplate.Parameter = class Parameter {
 	 */
 	get value() { return this._value; }
 	set value(v) {
-		this._value.container.innerHTML =
-			toHtmlStr(this._value.container, v);
-		this._value.update();
+		reportChange(this, 'value', () => {
+			this._value.container.innerHTML =
+				toHtmlStr(this._value.container, v);
+			this._value.update();
+		});
 	}
 
 	toString() {
@@ -1230,6 +4729,126 @@ PTemplate.Parameter.prototype.toWikitext = Promise.async(function *() {
 	return `${keyWikitext}=${valueWikitext}`;
 });
 
+/**
+ * PTemplateArg represents a template argument, like `{{{1|default}}}`,
+ * as found on pages in the Template namespace.
+ * @extends PNode
+ */
+class PTemplateArg extends PNode {
+	/**
+	 * @private
+	 * @param {PDoc} pdoc The parent document for this PNode.
+	 * @param {PNodeList|null} parent A containing node list which will receive
+	 *    updates when this {@link PNode} is mutated.
+	 * @param {Node} node The DOM node.
+	 * @param {number} which A single {@link Node} can represent multiple
+	 *   transclusions; this parameter serves to distinguish them.
+	 */
+	constructor(pdoc, parent, node, which) {
+		super(pdoc, parent, node, {
+			wtsNodes: function() {
+				// Like templates, arguments can span a collection of nodes.
+				return this.parent._querySelectorAll('[about="' + this.node.getAttribute('about') + '"]');
+			},
+		});
+		this.which = which;
+	}
+
+	get _templateArg() {
+		return this.dataMw.parts[this.which];
+	}
+	set _templateArg(v) {
+		const dmw = this.dataMw;
+		dmw.parts[this.which] = v;
+		this.dataMw = dmw;
+	}
+
+	/**
+	 * The name of the argument, as a String of wikitext: for example
+	 * `"1"` in `{{{1|default}}}`.
+	 * @prop {string}
+	 */
+	get name() {
+		return this._templateArg.templatearg.target.wt;
+	}
+	set name(v) {
+		reportChange(this, 'name', () => {
+			const ta = this._templateArg;
+			ta.templatearg.target.wt = v;
+			this._templateArg = ta;
+		});
+	}
+
+	/**
+	 * The default value of the argument, used when no value is supplied
+	 * by the transcluding page, or `null` if not present.
+	 * You can assign `null`, a String, Node, or PNodeList to mutate the
+	 * default.
+	 * @prop {PNodeList|null}
+	 */
+	get default() {
+		const params = this._templateArg.templatearg.params || {};
+		const d = params[1];
+		if (d === undefined) { return null; }
+		const div = this.ownerDocument.createElement('div');
+		if (d.html === undefined) {
+			div.textContent = d.wt || '';
+		} else {
+			div.innerHTML = d.html;
+		}
+		return new PNodeList(this.pdoc, this, div, {
+			update: function() {
+				const ta = this.parent._templateArg;
+				ta.templatearg.params[1] = { html: this.container.innerHTML };
+				const dmw = this.parent.dataMw;
+				dmw.parts[this.parent.which] = ta;
+				DU.setJSONAttribute(this.parent.node, 'data-mw', dmw);
+			},
+		});
+	}
+	set default(v) {
+		reportChange(this, 'default', () => {
+			const ta = this._templateArg;
+			const params = ta.templatearg.params || {};
+			if (v === null || v === undefined) {
+				delete params[1];
+			} else {
+				params[1] = { html: toHtmlStr(this.node, v) };
+			}
+			ta.templatearg.params = params;
+			this._templateArg = ta;
+		});
+	}
+
+	/**
+	 * Extends {@link PNode#matches} to distinguish between the several
+	 * transclusions which can be represented by a single DOM {@link Node},
+	 * and to match any of the DOM {@link Node}s which make up this
+	 * argument.
+	 * @inheritdoc
+	 * @param {Node|PNode} target
+	 */
+	matches(target) {
+		if (target instanceof PTemplateArg && target.node === this.node) {
+			return target.which === this.which;
+		}
+		return super.matches(target) || sameAbout(this.node, target);
+	}
+
+	_children() {
+		const d = this.default;
+		return d ? [ d ] : [];
+	}
+
+	_dataMwChildren() { return this._children(); }
+}
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PTemplateArg._selector = '[typeof~="mw:Param"]';
+
 /**
  * PText represents ordinary unformatted text with no special properties.
  * @extends PNode
@@ -1244,8 +4863,10 @@ class PText extends PNode {
 		return this.node.data;
 	}
 	set value(v) {
-		this.node.data = v;
-		this.update();
+		reportChange(this, 'value', () => {
+			this.node.data = v;
+			this.update();
+		});
 	}
 
 	/**
@@ -1277,18 +4898,41 @@ class PWikiLink extends PNode {
 	get tagName() { return this.node.tagName.toLowerCase(); }
 
 	/**
-	 * The title of the linked page.
+	 * The title of the linked page, as a plain string.  If the title
+	 * was generated by a template, this is the expanded result; use
+	 * {@link #target} to get at the template.
 	 * @prop {string}
 	 */
 	get title() {
-		// XXX url should be a PNodeList, but that requires handling
-		// typeof="mw:ExpandedAttrs"
 		return this.node.getAttribute('href').replace(/^.\//, '');
 	}
 	set title(v) {
-		const href = './' + this.pdoc.env.normalizedTitleKey(v);
-		this.node.setAttribute('href', href);
-		this.update();
+		reportChange(this, 'title', () => {
+			this.target = String(v);
+		});
+	}
+
+	/**
+	 * The title of the linked page, as a {@link PNodeList}.  This may
+	 * contain templates, as in `[[{{1x|Foo}}|bar]]`.
+	 * You can assign a String, Node, or PNodeList to mutate the target.
+	 * @prop {PNodeList}
+	 */
+	get target() {
+		return expandedAttrGet(this, 'href', this.title, this._setHref);
+	}
+	set target(v) {
+		reportChange(this, 'target', () => {
+			expandedAttrSet(this, 'href', v, this._setHref);
+		});
+	}
+
+	// Internal helper: a callback to update the plain-text href.
+	get _setHref() {
+		return (title) => {
+			const href = './' + this.pdoc.env.normalizedTitleKey(title);
+			this.node.setAttribute('href', href);
+		};
 	}
 
 	/**
@@ -1297,9 +4941,17 @@ class PWikiLink extends PNode {
 	 * @prop {PNodeList}
 	 */
 	get text() { return innerAccessorGet(this); }
-	set text(v) { innerAccessorSet(this, v); }
+	set text(v) {
+		reportChange(this, 'text', () => innerAccessorSet(this, v));
+	}
+
+	_children() {
+		return [this.text].concat(this._dataMwChildren());
+	}
 
-	_children() { return [this.text]; }
+	_dataMwChildren() {
+		return (expandedAttrHtml(this, 'href') === null) ? [] : [this.target];
+	}
 }
 /**
  * @ignore
@@ -1317,10 +4969,83 @@ PWikiLink._selector = 'a[rel="mw:WikiLink"]';
  * @extends PNodeList
  */
 class PDoc extends PNodeList {
-	constructor(env, doc) {
+	constructor(env, doc, opts) {
 		super(null, null, doc.body);
 		this.pdoc = this;
 		this.env = env;
+		/**
+		 * The wikitext this document was parsed from, or `null` if
+		 * unknown.  This is used by {@link #toWikitext} for selective
+		 * serialization.
+		 * @prop {string|null}
+		 */
+		this.originalWikitext = env.page.src === undefined ? null : env.page.src;
+		// The DOM originally parsed from `originalWikitext`, which is
+		// only kept if selective serialization was requested; otherwise
+		// it is parsed again when needed, by #loadOriginal.
+		this._originalHtml = (opts && opts.selser && this.originalWikitext !== null) ?
+			doc.body.outerHTML : null;
+		/**
+		 * The maximum number of changes remembered by {@link #undo}.
+		 * Each one keeps a copy of the document's HTML, which is made
+		 * whenever the document is updated outside a transaction.  Set
+		 * this to 0 to disable the history.
+		 * @prop {number}
+		 */
+		this.historyLimit = 10;
+		this._resetHistory();
+		// The HTML of templated template names (and parser function
+		// arguments), indexed by their wikitext; see
+		// PNodeList#expandTemplateNames.
+		this._names = new Map();
+		// Whether any template names were edited as HTML.
+		this._targetsEdited = false;
+		// Change event listeners, indexed by DOM node.
+		this._emitters = new WeakMap();
+		this._listenerCount = 0;
+		this._change = null;
+	}
+
+	// Internal helpers for change events; see PNodeList#on.
+	_addListener(node, event, listener) {
+		let emitter = this._emitters.get(node);
+		if (!emitter) {
+			emitter = new EventEmitter();
+			this._emitters.set(node, emitter);
+		}
+		emitter.on(event, listener);
+		this._listenerCount++;
+	}
+	_removeListener(node, event, listener) {
+		const emitter = this._emitters.get(node);
+		if (!emitter) { return; }
+		const count = emitter.listenerCount(event);
+		emitter.removeListener(event, listener);
+		this._listenerCount -= count - emitter.listenerCount(event);
+	}
+	_emitChange(change, newValue) {
+		const event = {
+			target: change.target,
+			node: eventNode(change.target),
+			property: change.property,
+			oldValue: change.oldValue,
+			newValue,
+		};
+		// Notify listeners on the changed nodes and everything containing
+		// them, including templates whose data-mw contains them.
+		const nodes = new Set();
+		change.targets.concat([ change.target ]).forEach((t) => {
+			for (let w = t; w; w = w.parent) {
+				for (let n = eventNode(w); n; n = n.parentNode) {
+					nodes.add(n);
+				}
+			}
+		});
+		nodes.add(this.container);
+		nodes.forEach((n) => {
+			const emitter = this._emitters.get(n);
+			if (emitter) { emitter.emit('change', event); }
+		});
 	}
 
 	/**
@@ -1329,7 +5054,370 @@ class PDoc extends PNodeList {
 	 * @prop {Document}
 	 */
 	get document() { return this.container.ownerDocument; }
-	set document(v) { this.container = v.body; }
+	set document(v) {
+		reportChange(this, 'document', () => {
+			this.container = v.body;
+			this._resetHistory();
+		});
+	}
+
+	// Internal helpers for the undo history.  Each entry of the undo and
+	// redo stacks is the HTML of the document before (or after) a
+	// change; `_current` is its HTML after the last one, and
+	// `_transaction` is the pending transaction, if any.
+	_resetHistory() {
+		this._undoStack = [];
+		this._redoStack = [];
+		this._transaction = null;
+		this._current = this._snapshot();
+	}
+	_snapshot() {
+		return this.historyLimit > 0 ? this.container.innerHTML : null;
+	}
+	_pushHistory(stack, html) {
+		if (!(this.historyLimit > 0)) { return; }
+		stack.push(html);
+		if (stack.length > this.historyLimit) {
+			stack.splice(0, stack.length - this.historyLimit);
+		}
+	}
+	_restore(html) {
+		this.container.innerHTML = html;
+		this._current = this._snapshot();
+		super.update();
+	}
+
+	/**
+	 * Extends {@link PNodeList#update} to keep track of changes for the
+	 * undo history.  Outside a {@link #transaction}, every change is
+	 * recorded as a step of its own.
+	 */
+	update() {
+		super.update();
+		if (this._transaction) {
+			this._transaction.changed = true;
+			return;
+		}
+		const html = this._snapshot();
+		if (html !== null && html === this._current) { return; }
+		if (this._current !== null) {
+			this._pushHistory(this._undoStack, this._current);
+		}
+		this._current = html;
+		// The undone changes can't be redone on top of this one.
+		this._redoStack = [];
+	}
+
+	/**
+	 * Whether there is a change which can be undone.
+	 * @prop {boolean}
+	 * @readonly
+	 */
+	get canUndo() { return this._undoStack.length > 0; }
+
+	/**
+	 * Whether there is an undone change which can be redone.
+	 * @prop {boolean}
+	 * @readonly
+	 */
+	get canRedo() { return this._redoStack.length > 0; }
+
+	/**
+	 * Undo the last change, restoring the document to the state it was
+	 * in before.  A change is a {@link #transaction}, or a single call to
+	 * {@link #update} outside a transaction, as made by each mutation
+	 * method and setter of the API.  Direct DOM manipulation is only
+	 * recorded when {@link #update} is called afterwards.
+	 *
+	 * The DOM nodes of the document are replaced, so any {@link PNode}s
+	 * or {@link PNodeList}s obtained earlier should not be used
+	 * afterwards.
+	 * @return {boolean} `false` if there was nothing to undo.
+	 */
+	undo() {
+		if (this._transaction) {
+			throw new Error('Cannot undo during a transaction');
+		}
+		if (!this.canUndo) { return false; }
+		this._redoStack.push(this.container.innerHTML);
+		this._restore(this._undoStack.pop());
+		return true;
+	}
+
+	/**
+	 * Redo the last change undone by {@link #undo}.  As for
+	 * {@link #undo}, earlier {@link PNode}s should not be used afterwards.
+	 * @return {boolean} `false` if there was nothing to redo.
+	 */
+	redo() {
+		if (this._transaction) {
+			throw new Error('Cannot redo during a transaction');
+		}
+		if (!this.canRedo) { return false; }
+		this._undoStack.push(this.container.innerHTML);
+		this._restore(this._redoStack.pop());
+		return true;
+	}
+
+	/**
+	 * Make several changes to the document as a unit.  The function
+	 * `fn` is invoked with this {@link PDoc}; if it throws an exception,
+	 * or returns a promise which is rejected, all changes made to the
+	 * document in the meantime are rolled back.  Otherwise, the changes
+	 * are recorded as a single step in the undo history.
+	 *
+	 * Only one transaction can be pending at a time: starting another
+	 * one (or calling {@link #undo} or {@link #redo}) before the promise
+	 * returned by this method settles is an error.
+	 * @param {Function} fn
+	 * @return {Promise}
+	 *   Fulfilled by the result of `fn`, or rejected with its error.
+	 */
+	transaction(fn) {
+		if (this._transaction) {
+			return Promise.reject(new Error('Another transaction is pending'));
+		}
+		const transaction = {
+			start: this.container.innerHTML,
+			changed: false,
+		};
+		this._transaction = transaction;
+		return new Promise(resolve => resolve(fn(this))).then((result) => {
+			this._transaction = null;
+			if (transaction.changed) {
+				this._pushHistory(this._undoStack, transaction.start);
+				this._redoStack = [];
+				this._current = this._snapshot();
+			}
+			return result;
+		}, (e) => {
+			this._transaction = null;
+			if (transaction.changed) {
+				this._restore(transaction.start);
+			}
+			throw e;
+		});
+	}
+
+	/**
+	 * The categories of this page, as an array of {@link PCategory}.
+	 * Categories added by templates, including those in template
+	 * parameters, are not included; use {@link #filterCategories} to
+	 * find those.
+	 * @prop {PCategory[]}
+	 * @readonly
+	 */
+	get categories() {
+		return this.filterCategories({ recursive: false, generated: false });
+	}
+
+	/**
+	 * Add this page to the category `name`, with an optional `sortKey`.
+	 * If the page is already in the category, its sort key is updated
+	 * instead.
+	 * @param {string} name The category name, with or without the namespace.
+	 * @param {string} [sortKey]
+	 * @return {PCategory} The new or updated category link.
+	 */
+	addCategory(name, sortKey) {
+		const existing = this.categories.find(c => c.nameMatches(name));
+		if (existing) {
+			if (sortKey !== undefined) { existing.sortKey = sortKey; }
+			return existing;
+		}
+		const link = this.document.createElement('link');
+		link.setAttribute('rel', 'mw:PageProp/Category');
+		link.setAttribute('href', categoryHref(this.env, name) +
+			(sortKey === undefined ? '' : '#' + encodeURIComponent(sortKey)));
+		// Categories conventionally go at the very end of the page, which
+		// may be inside the last section.
+		let container = this.container;
+		while (container.lastChild && container.lastChild.nodeName === 'SECTION') {
+			container = container.lastChild;
+		}
+		container.appendChild(this.document.createTextNode('\n'));
+		container.appendChild(link);
+		this.update();
+		return this.categories.find(c => c.node === link);
+	}
+
+	/**
+	 * Remove this page from the category `name`.
+	 * @param {string} name The category name, with or without the namespace.
+	 * @return {boolean} `true` if any category links were removed.
+	 */
+	removeCategory(name) {
+		const matches = this.categories.filter(c => c.nameMatches(name));
+		matches.forEach(c => c.remove());
+		return matches.length > 0;
+	}
+
+	/**
+	 * The title of the page this page redirects to, or `null` if this
+	 * page is not a redirect.  You can assign a String or `null` to
+	 * mutate the redirect.
+	 * @prop {string|null}
+	 */
+	get redirectTarget() {
+		const r = this.filter({ types: [ PRedirect ], recursive: false })[0];
+		return r ? r.target : null;
+	}
+	set redirectTarget(v) {
+		reportChange(this, 'redirectTarget', () => {
+			const r = this.filter({ types: [ PRedirect ], recursive: false })[0];
+			if (v === null || v === undefined) {
+				if (r) { r.remove(); }
+			} else if (r) {
+				r.target = v;
+			} else {
+				const link = this.document.createElement('link');
+				link.setAttribute('rel', 'mw:PageProp/redirect');
+				link.setAttribute('href', './' + this.env.normalizedTitleKey(v));
+				this.container.insertBefore(link, this.container.firstChild);
+				this.update();
+			}
+		});
+	}
+
+	/**
+	 * Look up a section of this page.
+	 * @param {number|string} id
+	 *   The section id (0 is the lead section), or the text of the
+	 *   section heading.
+	 * @return {PSection|null}
+	 *   The first matching section, or `null` if there is none.
+	 */
+	getSection(id) {
+		const norm = s => s.replace(/[\s_]+/g, ' ').trim();
+		const node = this._querySelectorAll('section').find((n) => {
+			if (typeof id === 'number') {
+				return n.getAttribute('data-mw-section-id') === String(id);
+			}
+			const h = sectionHeadingNode(n);
+			return h !== null && norm(h.textContent) === norm(id);
+		});
+		return node ? new PSection(this, this, node) : null;
+	}
+
+	/**
+	 * Serialize a single section of this page (including its
+	 * subsections) to wikitext, as for a `section=N` edit.
+	 * @param {number|string} id
+	 *   The section id, or the text of the section heading.
+	 * @return {Promise}
+	 *   Fulfilled by the wikitext of the section, or rejected if there
+	 *   is no such section.
+	 */
+	sectionToWikitext(id) {
+		const section = this.getSection(id);
+		if (section === null) {
+			return Promise.reject(new Error('Section not found: ' + id));
+		}
+		return section.toWikitext();
+	}
+
+	/**
+	 * Return the table of contents of this page: a tree of the sections
+	 * with headings.  Each entry is an object with properties `section`
+	 * (the {@link PSection}), `sectionId`, `level`, `title` (the text of
+	 * the heading), and `subsections` (an array of entries).
+	 * @return {Object[]}
+	 */
+	outline() {
+		const entries = sections => sections
+			.filter(s => s.level > 0)
+			.map(s => ({
+				section: s,
+				sectionId: s.sectionId,
+				level: s.level,
+				title: s.heading.node.textContent.trim(),
+				subsections: entries(s.subsections),
+			}));
+		const top = Array.from(this.container.children)
+			.filter(n => n.nodeName === 'SECTION')
+			.map(n => new PSection(this, this, n));
+		return entries(top);
+	}
+
+	/**
+	 * A new {@link PDoc} for this page as it was originally parsed,
+	 * without any subsequent changes.  This is only available if the
+	 * page was parsed with the `selser` option, or once
+	 * {@link #loadOriginal} is fulfilled.
+	 * @prop {PDoc}
+	 * @readonly
+	 */
+	get original() {
+		if (this._originalHtml === null) {
+			throw new Error('The original document was not kept; ' +
+				'use loadOriginal() or the "selser" option of parse()');
+		}
+		const pdoc = new PDoc(this.env, DU.parseHTML(this._originalHtml));
+		pdoc._originalHtml = this._originalHtml;
+		pdoc._names = this._names;
+		return pdoc;
+	}
+
+	/**
+	 * Return a promise for {@link #original}.  If the page wasn't parsed
+	 * with the `selser` option, {@link #originalWikitext} is parsed
+	 * again, in the context of this page, and the result is kept for
+	 * later use.  The result is only the same as the original parse if
+	 * the templates used by the page haven't changed in the meantime.
+	 * @param {Object} [options]
+	 *   Options which are passed to {@link Parsoid#parse}.
+	 * @return {Promise}
+	 *   Fulfilled by a {@link PDoc}, or rejected if the original wikitext
+	 *   is unknown.
+	 */
+	loadOriginal(options) {
+		throw new Error("Implemented elsewhere.");
+	}
+
+	/**
+	 * Compare the templates, links, categories, and sections of this
+	 * document with those of another document.
+	 * Each change is described by an object with the properties:
+	 * - `type`: one of `"template"`, `"link"`, `"category"`, or
+	 *   `"section"`.
+	 * - `action`: one of `"added"`, `"removed"`, or `"changed"`.
+	 * - `key`: the template name, link target, category title, or
+	 *   section heading (the empty string for the lead section, or the
+	 *   whole document if it has no sections).
+	 * - `before`, `after`: a summary of the template arguments, category
+	 *   sort key, or section level and text, before and after the change.
+	 * @param {PDoc} base The document to compare against.
+	 * @return {Object[]} The changes from `base` to this document.
+	 */
+	changesFrom(base) {
+		return diffSummaries(summarize(base), summarize(this));
+	}
+
+	/**
+	 * Return a promise for the wikitext of this document.
+	 * @param {Object} [opts]
+	 * @param {boolean} [opts.selser=false]
+	 *   Use selective serialization: the original wikitext is reused for
+	 *   all parts of the document which have not been modified, so that
+	 *   the result differs from {@link #originalWikitext} only where the
+	 *   document was changed.  Changes are found by comparing against the
+	 *   originally parsed DOM, so this works for mutations made through
+	 *   the API as well as direct DOM manipulation.  Unless the page was
+	 *   parsed with the `selser` option, which keeps a copy of that DOM,
+	 *   the original wikitext is parsed again; see {@link #loadOriginal}.
+	 *   Documents without any original wikitext are serialized in full.
+	 * @return {Promise}
+	 */
+	toWikitext(opts) {
+		if (!(opts && opts.selser) || this.originalWikitext === null) {
+			return super.toWikitext();
+		}
+		return Promise.resolve().then(() => {
+			return this._originalHtml === null ? this.loadOriginal() : null;
+		}).then(() => serializeTargets(this, [ this ])).then(() => wtsSelser(
+			this.env, this.container, this.originalWikitext, this._originalHtml
+		));
+	}
 
 	/**
 	 * Return a string representing the entire document as
@@ -1386,15 +5474,27 @@ module.exports = {
 	PDoc,
 	PNodeList,
 	PNode,
+	PBehaviorSwitch,
+	PCategory,
 	PComment,
+	PExtension,
 	PExtLink,
 	PHeading,
 	PHtmlEntity,
+	PLanguageLink,
+	PList,
+	PListItem,
 	PMedia,
+	PPageProperty,
+	PParserFunction,
+	PRedirect,
 	PSection,
+	PTable,
 	PTag,
 	PTemplate,
+	PTemplateArg,
 	PText,
+	PTransclusion,
 	PWikiLink,
 	// Helper function for `Promise.map`
 	toWikitext: Promise.async(function *(n) { return (yield n.toWikitext()); }),
@@ -0,0 +1,274 @@
+/**
+ * A mock MediaWiki action API, which lets Parsoid parse wikitext
+ * without network access.
+ * @module
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
+
+const Promise = require('parsoid/lib/utils/promise.js');
+
+// Used to give each mock API a unique interwiki prefix, since Parsoid
+// caches site configuration by prefix.
+let uniq = 0;
+
+// Helper: upper-case the first character of `s`.
+const ucfirst = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Helper: the `query` part of a siteinfo response, from an object,
+// a JSON file name, or Parsoid's cached English Wikipedia configuration.
+const loadSiteinfo = function(siteinfo) {
+	if (siteinfo === undefined || siteinfo === null) {
+		siteinfo = require('parsoid/lib/config/baseconfig/enwiki.json');
+	} else if (typeof siteinfo === 'string') {
+		siteinfo = JSON.parse(fs.readFileSync(siteinfo, 'utf8'));
+	}
+	return siteinfo.query || siteinfo;
+};
+
+/**
+ * A mock MediaWiki action API, serving a fixed site configuration and
+ * page sources from memory (or from a function you provide) over HTTP
+ * on the loopback interface.  This is used to implement the `offline`
+ * option of {@link Parsoid.parse}, but it can also be used directly,
+ * for example with a {@link ParsoidConfig}:
+ * ```
+ * const api = new MockApi({ pages: { 'Template:Echo': '{{{1}}}' } });
+ * yield api.start();
+ * const parsoidConfig = new ParsoidConfig(null, { mwApis: [ api.apiConf ] });
+ * ```
+ * Only the requests which Parsoid makes when it expands templates itself
+ * are supported: site configuration and page sources.  All files are
+ * missing, and extension tags which Parsoid doesn't implement natively
+ * can't be expanded.
+ */
+class MockApi {
+	/**
+	 * @param {Object} [opts]
+	 * @param {Object|string} [opts.siteinfo]
+	 *   The site configuration, as returned by the MediaWiki API for
+	 *   `action=query&meta=siteinfo` (namespaces, magic words, extension
+	 *   tags, etc), or the name of a JSON file containing it.  Defaults
+	 *   to Parsoid's cached copy of the English Wikipedia configuration.
+	 * @param {Object|Map} [opts.pages]
+	 *   The wikitext source of templates, modules, and other pages, by
+	 *   title, like `{ 'Template:Echo': '{{{1}}}' }`.
+	 * @param {Function} [opts.fetch]
+	 *   Invoked as `fetch(title)` for pages not found in `opts.pages`;
+	 *   returns the wikitext source of the page, `null` if the page is
+	 *   missing, or a {@link Promise} for either.
+	 * @param {string} [opts.domain]
+	 *   The domain name of the wiki.  Defaults to the server name in the
+	 *   site configuration.
+	 */
+	constructor(opts) {
+		opts = opts || {};
+		/** @prop {Object} */
+		this.siteinfo = loadSiteinfo(opts.siteinfo);
+		const pages = (opts.pages instanceof Map) ? opts.pages :
+			new Map(Object.keys(opts.pages || {}).map(k => [ k, opts.pages[k] ]));
+		this._pages = new Map();
+		pages.forEach((v, k) => this._pages.set(this._normTitle(k), v));
+		this._fetch = opts.fetch || null;
+		/** @prop {string} */
+		this.prefix = 'offline$' + (uniq++);
+		/** @prop {string} */
+		this.domain = opts.domain ||
+			(this.siteinfo.general && this.siteinfo.general.servername) ||
+			'localhost';
+		/**
+		 * The URL of the API, once it has been started.
+		 * @prop {string|null}
+		 */
+		this.uri = null;
+		this._server = null;
+		this._started = null;
+		this._pageIds = new Map();
+	}
+
+	/**
+	 * The configuration of this wiki, for {@link ParsoidConfig#setMwApi}.
+	 * @prop {Object}
+	 */
+	get apiConf() {
+		return { prefix: this.prefix, domain: this.domain, uri: this.uri };
+	}
+
+	/**
+	 * Start the HTTP server, if it isn't already running.  The server
+	 * doesn't keep node running by itself.
+	 * @return {Promise} Fulfilled with this object when the server is ready.
+	 */
+	start() {
+		if (this._started) { return this._started; }
+		this._server = http.createServer((req, res) => this._serve(req, res));
+		this._started = new Promise((resolve, reject) => {
+			this._server.once('error', reject);
+			this._server.listen(0, '127.0.0.1', () => {
+				this._server.unref();
+				this.uri = 'http://127.0.0.1:' + this._server.address().port +
+					'/api.php';
+				resolve(this);
+			});
+		});
+		return this._started;
+	}
+
+	/**
+	 * Stop the HTTP server.
+	 * @return {Promise}
+	 */
+	close() {
+		const server = this._server;
+		if (!server) { return Promise.resolve(); }
+		this._server = this._started = null;
+		this.uri = null;
+		return new Promise((resolve, reject) => {
+			server.close((err) => {
+				if (err) { reject(err); } else { resolve(); }
+			});
+		});
+	}
+
+	/**
+	 * Look up the wikitext source of a page.
+	 * @param {string} title
+	 * @return {Promise} Fulfilled with the wikitext, or `null` if the page
+	 *   is missing.
+	 */
+	getPage(title) {
+		const key = this._normTitle(title);
+		if (this._pages.has(key)) {
+			return Promise.resolve(this._pages.get(key));
+		}
+		if (!this._fetch) {
+			return Promise.resolve(null);
+		}
+		return Promise.resolve(this._fetch(key)).then((src) => {
+			return (src === undefined || src === null) ? null : String(src);
+		});
+	}
+
+	// Internal helper: the namespace id of `title`.
+	_namespace(title) {
+		const m = /^([^:]*):/.exec(title);
+		if (!m) { return 0; }
+		const name = m[1].replace(/[_\s]+/g, ' ').trim().toLowerCase();
+		const namespaces = this.siteinfo.namespaces || {};
+		const ns = Object.keys(namespaces).map(k => namespaces[k]).find(
+			n => [ n['*'], n.canonical ].some(
+				s => typeof s === 'string' && s.toLowerCase() === name
+			)
+		) || (this.siteinfo.namespacealiases || []).find(
+			n => n['*'].toLowerCase() === name
+		);
+		return ns ? ns.id : 0;
+	}
+
+	// Internal helper: normalize a page title, for looking it up.  Only
+	// a prefix which names a namespace is treated as one, so the text
+	// after the colon in `Star Wars: episode` isn't capitalized.
+	_normTitle(title) {
+		const t = String(title).replace(/[_\s]+/g, ' ').trim();
+		const m = /^([^:]*):\s*(.*)$/.exec(t);
+		if (!m || this._namespace(t) === 0) {
+			return ucfirst(t);
+		}
+		return ucfirst(m[1].trim()) + ':' + ucfirst(m[2]);
+	}
+
+	// Internal helper: the response to a request for pages.
+	_queryPages(params) {
+		const titles = String(params.titles || '').split('|').filter(Boolean);
+		const formatversion = +(params.formatversion || 1);
+		const revisions = /\brevisions\b/.test(params.prop);
+		return Promise.all(titles.map((t) => {
+			return revisions ? this.getPage(t) : Promise.resolve(null);
+		})).then((sources) => {
+			const pages = titles.map((title, i) => {
+				const page = { ns: this._namespace(title), title: this._normTitle(title) };
+				if (sources[i] === null) {
+					page.missing = formatversion === 2 ? true : '';
+					return page;
+				}
+				if (!this._pageIds.has(page.title)) {
+					this._pageIds.set(page.title, this._pageIds.size + 1);
+				}
+				const id = this._pageIds.get(page.title);
+				const content = {
+					contentmodel: 'wikitext',
+					contentformat: 'text/x-wiki',
+					'*': sources[i],
+				};
+				return Object.assign(page, {
+					pageid: id,
+					lastrevid: id,
+					revisions: [ Object.assign({
+						revid: id,
+						parentid: 0,
+						timestamp: '2001-01-15T00:00:00Z',
+						slots: { main: content },
+					}, content) ],
+				});
+			});
+			if (formatversion === 2) {
+				return { query: { pages } };
+			}
+			const byId = {};
+			pages.forEach((page, i) => {
+				byId[page.pageid || String(-1 - i)] = page;
+			});
+			return { query: { pages: byId } };
+		});
+	}
+
+	// Internal helper: the response to an API request.
+	_handle(params) {
+		switch (params.action) {
+			case 'query':
+				if (params.meta === 'siteinfo') {
+					return Promise.resolve({ query: this.siteinfo });
+				}
+				return this._queryPages(params);
+			case 'paraminfo':
+				return Promise.resolve({ paraminfo: { modules: [] } });
+			case 'templatedata':
+				return Promise.resolve({ pages: {} });
+			default:
+				return Promise.resolve({
+					error: {
+						code: 'unsupported',
+						info: 'Not available offline: action=' + params.action,
+					},
+				});
+		}
+	}
+
+	// Internal helper: serve an HTTP request.
+	_serve(req, res) {
+		let body = '';
+		req.setEncoding('utf8');
+		req.on('data', (chunk) => { body += chunk; });
+		req.on('end', () => {
+			const params = Object.assign(
+				{}, url.parse(req.url, true).query, querystring.parse(body)
+			);
+			this._handle(params).then((data) => {
+				res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+				res.end(JSON.stringify(data));
+			}, (err) => {
+				res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+				res.end(String((err && err.stack) || err));
+			});
+		});
+	}
+}
+
+module.exports = {
+	MockApi,
+};
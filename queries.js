@@ -0,0 +1,64 @@
+/**
+ * The queries supported by the `query` command of the `parsoid-jsapi`
+ * tool and by `POST /query/<type>` in `server.js`, by type.  Each has a
+ * `filter` method, invoked as `filter(pdoc, opts)` with the options for
+ * the `filterXxx` method, and a `describe` method which returns a
+ * JSON-serializable description of one of the resulting nodes, or a
+ * {@link Promise} for one.
+ * @module
+ */
+
+'use strict';
+
+const Promise = require('parsoid/lib/utils/promise.js');
+
+const queries = {
+	templates: {
+		filter: (pdoc, opts) => pdoc.filterTemplates(opts),
+		describe: Promise.async(function *(t) {
+			const params = {};
+			for (const p of t.params) {
+				params[p.name] = yield p.value.toWikitext();
+			}
+			return { name: t.nameText, params };
+		}),
+	},
+	links: {
+		filter: (pdoc, opts) => pdoc.filterWikiLinks(opts),
+		describe: l => ({ title: l.title, text: l.text.toPlainText() }),
+	},
+	extlinks: {
+		filter: (pdoc, opts) => pdoc.filterExtLinks(opts),
+		describe: l => ({ url: l.url, text: l.title.toPlainText() }),
+	},
+	categories: {
+		filter: (pdoc, opts) => pdoc.filterCategories(opts),
+		describe: c => ({ title: c.title, sortKey: c.sortKey }),
+	},
+	headings: {
+		filter: (pdoc, opts) => pdoc.filterHeadings(opts),
+		describe: h => ({ level: h.level, title: h.title.toPlainText() }),
+	},
+	sections: {
+		filter: (pdoc, opts) => pdoc.filterSections(opts),
+		describe: s => ({
+			id: s.sectionId,
+			level: s.level,
+			title: s.heading ? s.heading.title.toPlainText() : null,
+		}),
+	},
+	media: {
+		filter: (pdoc, opts) => pdoc.filterMedia(opts),
+		describe: m => ({
+			filename: m.filename,
+			format: m.format,
+			align: m.align,
+			width: m.width,
+			height: m.height,
+			alt: m.alt,
+			caption: m.caption ? m.caption.toPlainText() : null,
+		}),
+	},
+};
+
+module.exports = queries;
@@ -0,0 +1,233 @@
+/**
+ * A small HTTP service exposing the {@link PDoc} query and edit API, for
+ * clients which aren't written in JavaScript.
+ *
+ * All requests are `POST`s with a JSON body, and all responses are JSON:
+ * - `POST /query/<type>`, with `{ wikitext }` or `{ html }`, and
+ *   optionally `title` and `recursive`, returns an array describing the
+ *   templates, links, extlinks, categories, headings, sections, or media
+ *   of the page.
+ * - `POST /edit`, with `{ wikitext, operations }`, and optionally
+ *   `title` and `selser`, applies the operations in order and returns
+ *   `{ wikitext, changes }`, where `changes` is the number of nodes each
+ *   operation changed.  The operations are objects like:
+ *   - `{ op: 'setParam', template, param, value }`
+ *   - `{ op: 'renameTemplate', template, name }`
+ *   - `{ op: 'addCategory', category, sortKey }`
+ *   - `{ op: 'setHeadingLevel', heading, from, level }`
+ *
+ * Errors are returned as `{ error }`, with an HTTP error status.
+ * @module
+ */
+
+'use strict';
+
+const http = require('http');
+const url = require('url');
+
+const Parsoid = require('./index.js');
+const Promise = require('parsoid/lib/utils/promise.js');
+const queries = require('./queries.js');
+
+// Helper: an error for a malformed request.
+const badRequest = function(message, status) {
+	const err = new Error(message);
+	err.status = status || 400;
+	return err;
+};
+
+// Helper: check that `obj` has the given properties.
+const required = function(obj, what, names) {
+	names.forEach((name) => {
+		if (obj[name] === undefined || obj[name] === null) {
+			throw badRequest('Missing "' + name + '" in ' + what);
+		}
+	});
+};
+
+// Helper: the templates in `pdoc` named `name`.
+const templatesNamed = function(pdoc, name) {
+	return pdoc.filterTemplates().filter(t => t.nameMatches(name));
+};
+
+/**
+ * The operations supported by `POST /edit`, by name.  Each is invoked
+ * as `fn(parser, pdoc, op)` and returns the number of nodes it changed,
+ * or a {@link Promise} for it.
+ * @type {Object}
+ */
+const operations = {
+	// Set the parameter `param` of the templates named `template` to the
+	// wikitext `value`.
+	setParam: Promise.async(function *(parser, pdoc, op) {
+		required(op, 'setParam', [ 'template', 'param', 'value' ]);
+		const templates = templatesNamed(pdoc, op.template);
+		if (templates.length > 0) {
+			const value = yield parser.fromWikitext(pdoc, String(op.value));
+			templates.forEach(t => t.add(String(op.param), value));
+		}
+		return templates.length;
+	}),
+	// Rename the templates named `template` to `name`.
+	renameTemplate: Promise.async(function *(parser, pdoc, op) {
+		required(op, 'renameTemplate', [ 'template', 'name' ]);
+		const templates = templatesNamed(pdoc, op.template);
+		// The new name may itself contain templates.
+		yield pdoc.expandTemplateNames([ String(op.name) ]);
+		templates.forEach((t) => { t.name = String(op.name); });
+		return templates.length;
+	}),
+	// Add the page to `category`, or update its `sortKey`.
+	addCategory: function(parser, pdoc, op) {
+		required(op, 'addCategory', [ 'category' ]);
+		pdoc.addCategory(String(op.category),
+			op.sortKey === undefined || op.sortKey === null ?
+				undefined : String(op.sortKey));
+		return 1;
+	},
+	// Change the level of the headings whose text is `heading` and/or
+	// whose level is `from` to `level`.
+	setHeadingLevel: function(parser, pdoc, op) {
+		required(op, 'setHeadingLevel', [ 'level' ]);
+		const level = +op.level;
+		if (!(level >= 1 && level <= 6)) {
+			throw badRequest('Heading level must be between 1 and 6, inclusive');
+		}
+		// Headings in template output can't be changed.
+		const headings = pdoc.filterHeadings({ generated: false }).filter((h) => {
+			return (op.heading === undefined ||
+				h.title.toPlainText() === String(op.heading).trim()) &&
+				(op.from === undefined || h.level === +op.from);
+		});
+		headings.forEach((h) => { h.level = level; });
+		return headings.length;
+	},
+};
+
+// Helper: the page to query, from the request body.
+const pageFromBody = function(parser, body) {
+	const options = body.title ? { pageName: String(body.title) } : {};
+	if (body.selser) {
+		options.selser = true;
+	}
+	if (typeof body.html === 'string') {
+		return parser.parseHTML(body.html, options);
+	}
+	if (typeof body.wikitext !== 'string') {
+		throw badRequest('The request needs either "wikitext" or "html"');
+	}
+	return parser.parse(body.wikitext, options);
+};
+
+const handleQuery = Promise.async(function *(parser, type, body) {
+	if (!queries.hasOwnProperty(type)) {
+		throw badRequest('Unknown query type: ' + type, 404);
+	}
+	const query = queries[type];
+	const pdoc = yield pageFromBody(parser, body);
+	const pnodes = query.filter(pdoc, { recursive: body.recursive !== false });
+	return (yield Promise.all(pnodes.map(query.describe)));
+});
+
+const handleEdit = Promise.async(function *(parser, body) {
+	required(body, 'the request', [ 'wikitext', 'operations' ]);
+	if (!Array.isArray(body.operations)) {
+		throw badRequest('"operations" must be an array');
+	}
+	body.operations.forEach((op, i) => {
+		if (!op || !operations.hasOwnProperty(op.op)) {
+			throw badRequest('Unknown operation ' + i + ': ' +
+				(op && op.op));
+		}
+	});
+	const selser = body.selser !== false;
+	const pdoc = yield pageFromBody(parser, {
+		wikitext: String(body.wikitext),
+		title: body.title,
+		selser,
+	});
+	const changes = [];
+	for (const op of body.operations) {
+		changes.push(yield operations[op.op](parser, pdoc, op));
+	}
+	const wikitext = yield pdoc.toWikitext({ selser });
+	return { wikitext, changes };
+});
+
+// Helper: read and decode the JSON body of a request.
+const readBody = function(req, maxBodySize) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		req.setEncoding('utf8');
+		req.on('data', (chunk) => {
+			body += chunk;
+			if (body.length > maxBodySize) {
+				reject(badRequest('Request body too large', 413));
+				req.pause();
+			}
+		});
+		req.on('end', () => {
+			try {
+				const data = JSON.parse(body || '{}');
+				if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+					throw new Error('not an object');
+				}
+				resolve(data);
+			} catch (e) {
+				reject(badRequest('The request body must be a JSON object'));
+			}
+		});
+		req.on('error', reject);
+	});
+};
+
+/**
+ * Create the HTTP server.  It isn't listening yet; call `listen()`:
+ * ```
+ * require('parsoid-jsapi/server.js').createServer().listen(8000);
+ * ```
+ * @param {Object} [opts]
+ *   Options for {@link Parsoid.createParser}, and:
+ * @param {Parser} [opts.parser]
+ *   The parser session to use; by default one is created with `opts`.
+ *   Unless `opts.offline` is `false`, the session parses offline, using
+ *   Parsoid's cached English Wikipedia configuration.
+ * @param {number} [opts.maxBodySize=10485760]
+ *   The maximum size of a request body, in characters.
+ * @return {http.Server}
+ */
+const createServer = function(opts) {
+	opts = Object.assign({ offline: true }, opts);
+	if (opts.offline === false) {
+		delete opts.offline;
+	}
+	const parser = opts.parser || Parsoid.createParser(opts);
+	const maxBodySize = opts.maxBodySize || 10 * 1024 * 1024;
+	return http.createServer((req, res) => {
+		const path = url.parse(req.url).pathname.replace(/\/+$/, '');
+		const m = /^\/query\/([^/]+)$/.exec(path);
+		Promise.resolve().then(() => {
+			if (!m && path !== '/edit') {
+				throw badRequest('Not found: ' + path, 404);
+			}
+			if (req.method !== 'POST') {
+				throw badRequest('Use POST', 405);
+			}
+			return readBody(req, maxBodySize);
+		}).then((body) => {
+			return m ? handleQuery(parser, decodeURIComponent(m[1]), body) :
+				handleEdit(parser, body);
+		}).then((data) => {
+			res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+			res.end(JSON.stringify(data));
+		}, (err) => {
+			res.writeHead(err.status || 500, { 'Content-Type': 'application/json; charset=utf-8' });
+			res.end(JSON.stringify({ error: String((err && err.message) || err) }));
+		});
+	});
+};
+
+module.exports = {
+	createServer,
+	operations,
+};
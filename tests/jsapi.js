@@ -3,16 +3,31 @@
 
 "use strict";
 
-require('chai').should();
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const should = require('chai').should();
 
 const Parsoid = require('../index.js');
 const Promise = require('parsoid/lib/utils/promise.js');
 
+// Parse without network access, using Parsoid's cached copy of the
+// English Wikipedia configuration and these templates.
+const offline = {
+	pages: {
+		'Template:1x': '{{{1}}}',
+		'Template:!': '|',
+	},
+};
+
 describe('Parsoid JS API', function() {
 	it('converts empty wikitext to HTML', Promise.async(function *() {
 		const res = yield Parsoid.parse('', {
 			document: true,
 			envOptions: { wrapSections: false },
+			offline,
 		});
 		res.should.have.property('doc');
 		res.doc.should.have.property('outerHTML');
@@ -20,30 +35,270 @@ describe('Parsoid JS API', function() {
 		res.doc.body.children.length.should.equal(0);
 	}));
 	it('converts simple wikitext to HTML', Promise.async(function *() {
-		const res = yield Parsoid.parse('hi there', { document: true });
+		const res = yield Parsoid.parse('hi there', { document: true, offline });
 		res.should.have.property('doc');
 		res.doc.should.have.property('outerHTML');
 	}));
 });
 
+describe('offline mode', function() {
+	it('expands templates offline', Promise.async(function *() {
+		const fetched = [];
+		const pdoc = yield Parsoid.parse('{{greet|World}} {{missing}}', {
+			pdoc: true,
+			offline: {
+				fetch: (title) => {
+					fetched.push(title);
+					return title === 'Template:Greet' ? 'Hello, {{{1}}}!' : null;
+				},
+			},
+		});
+		fetched.sort().should.eql([ 'Template:Greet', 'Template:Missing' ]);
+		pdoc.filterTemplates().length.should.equal(2);
+		pdoc.toPlainText({ templates: true }).should.match(/^Hello, World!/);
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('{{greet|World}} {{missing}}');
+	}));
+	it('normalizes page titles offline', Promise.async(function *() {
+		const api = new Parsoid.MockApi({
+			pages: { 'Star Wars: episode': 'a', 'template:foo_bar': 'b' },
+		});
+		(yield api.getPage('Star_Wars: episode')).should.equal('a');
+		should.equal(yield api.getPage('Star Wars:Episode'), null);
+		(yield api.getPage('Template: Foo bar')).should.equal('b');
+	}));
+});
+
+describe('parser sessions', function() {
+	it('reuses a parser session', Promise.async(function *() {
+		const parser = Parsoid.createParser({ offline });
+		const pdoc = yield parser.parse('{{1x|foo}} bar', { pageName: 'Foo' });
+		pdoc.toPlainText({ templates: true }).should.equal('foo bar');
+		const pdoc2 = yield parser.parse('baz');
+		pdoc2.env.conf.parsoid.should.equal(pdoc.env.conf.parsoid);
+		const frag = yield Parsoid.PNodeList.fromWikitext(pdoc, '{{1x|quux}}');
+		frag.filterTemplates().length.should.equal(1);
+		frag.pdoc.should.equal(pdoc);
+		(yield parser.serialize(pdoc)).should.equal('{{1x|foo}} bar');
+		(yield parser.serialize('<p><b>x</b></p>')).should.equal("'''x'''");
+	}));
+	it('bounds the caches of a parser session', Promise.async(function *() {
+		const parser = Parsoid.createParser({ offline, cacheSize: 1 });
+		yield parser.parse('{{1x|a}}{{!}}');
+		const pages = parser._pages;
+		Object.keys(pages).length.should.be.above(1);
+		parser._counts.pages.should.equal(Object.keys(pages).length);
+		yield parser.parse('{{1x|b}}');
+		parser._pages.should.not.equal(pages);
+		parser.clearCaches();
+		Object.keys(parser._pages).length.should.equal(0);
+		parser._counts.pages.should.equal(0);
+	}));
+});
+
+describe('batch parsing', function() {
+	it('parses many pages from an XML dump', Promise.async(function *() {
+		const xml = '<mediawiki xmlns="http://www.mediawiki.org/xml/export-0.10/">\n' +
+			'<page><title>Foo</title><ns>0</ns><id>1</id><revision><id>10</id>' +
+			'<text xml:space="preserve">[[Bar]] &amp; {{1x|baz}}</text></revision></page>\n' +
+			'<page><title>Template:Quux</title><ns>10</ns><id>2</id><revision><id>11</id>' +
+			'<text xml:space="preserve">&lt;b&gt;quux&lt;/b&gt;</text></revision></page>\n' +
+			'</mediawiki>\n';
+		const reader = new Parsoid.DumpReader();
+		reader.end(xml);
+		const events = [ 'readable', 'end', 'error' ];
+		const listeners = events.map(e => reader.listenerCount(e));
+		const seen = [];
+		let summary = yield Parsoid.parseMany(reader, { offline, concurrency: 2 }, (err, pdoc, page) => {
+			should.equal(err, null);
+			seen.push([ page.title, page.ns, pdoc.filterWikiLinks().length ]);
+		});
+		seen.sort().should.eql([ [ 'Foo', 0, 1 ], [ 'Template:Quux', 10, 0 ] ]);
+		summary.should.have.property('parsed', 2);
+		summary.should.have.property('failed', 0);
+		events.map(e => reader.listenerCount(e)).should.eql(listeners);
+		// One bad page doesn't stop the others.
+		const pages = [
+			{ title: 'A', wikitext: 'a' },
+			{ title: 'B', wikitext: 'b' },
+		];
+		summary = yield Parsoid.parseMany(pages, { offline }, (err, pdoc, page) => {
+			should.equal(err, null);
+			if (page.title === 'A') { throw new Error('oops'); }
+		});
+		summary.should.have.property('parsed', 1);
+		summary.should.have.property('failed', 1);
+		summary.errors[0].page.title.should.equal('A');
+		summary.errors[0].error.message.should.equal('oops');
+	}));
+	it('times out slow pages without parsing more at a time', Promise.async(function *() {
+		let running = 0;
+		let maxRunning = 0;
+		// A stand-in for a parser session, which is slow for some pages,
+		// and never finishes others.
+		const parser = {
+			parse: (wikitext) => {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				if (wikitext === 'hung') { return new Promise(() => {}); }
+				return Promise.delay(wikitext === 'slow' ? 70 : 1).then(() => {
+					running--;
+					return wikitext;
+				});
+			},
+		};
+		// The pages are an async iterable.
+		const iterable = titles => ({
+			[Symbol.asyncIterator]: () => ({
+				next: () => {
+					const t = titles.shift();
+					return Promise.resolve(t === undefined ? { value: undefined, done: true } :
+						{ value: { title: t, wikitext: t }, done: false });
+				},
+			}),
+		});
+		let seen = [];
+		const record = (err, pdoc, page) => {
+			seen.push([ page.title, err ? err.message : pdoc, running ]);
+		};
+		let summary = yield Parsoid.parseMany(iterable([ 'slow', 'fast' ]), {
+			parser, concurrency: 1, timeout: 50,
+		}, record);
+		seen.should.eql([
+			// The timeout is reported while the parse is still running...
+			[ 'slow', 'Timed out after 50ms: slow', 1 ],
+			// ...but the next page waits for it.
+			[ 'fast', 'fast', 0 ],
+		]);
+		maxRunning.should.equal(1);
+		summary.should.have.property('parsed', 1);
+		summary.should.have.property('failed', 1);
+		// A page which never finishes is abandoned after a while.
+		seen = [];
+		summary = yield Parsoid.parseMany(iterable([ 'hung', 'fast' ]), {
+			parser, concurrency: 1, timeout: 20,
+		}, record);
+		seen.should.eql([
+			[ 'hung', 'Timed out after 20ms: hung', 1 ],
+			[ 'fast', 'fast', 1 ],
+		]);
+		summary.should.have.property('parsed', 1);
+		summary.should.have.property('failed', 1);
+	}));
+	it('rejects pages which are not iterable', Promise.async(function *() {
+		let error = null;
+		const result = Parsoid.parseMany(42, { parser: {} });
+		result.should.be.instanceof(Promise);
+		yield result.catch((e) => { error = e; });
+		error.should.be.instanceof(TypeError);
+	}));
+});
+
+describe('CLI', function() {
+	it('runs the command-line tool', function() {
+		// Each run starts a new node process.
+		this.timeout(30000);
+		const cli = path.join(__dirname, '..', 'bin', 'parsoid-jsapi.js');
+		const run = function(args, input) {
+			const res = childProcess.spawnSync(process.execPath, [ cli ].concat(args), { input, encoding: 'utf8' });
+			res.status.should.equal(0);
+			// Parsoid may log warnings, but the tool reports no errors.
+			res.stderr.should.not.match(/^parsoid-jsapi:/m);
+			return res.stdout;
+		};
+		const text = '{{foo|bar=[[Baz]]}}\n== Quux ==\n';
+		JSON.parse(run([ 'query', 'templates', '--offline' ], text)).should.eql([
+			{ name: 'foo', params: { bar: '[[Baz]]' } },
+		]);
+		JSON.parse(run([ 'query', 'headings', '--offline', '-' ], text)).should.eql([
+			{ level: 2, title: 'Quux' },
+		]);
+		const script = path.join(os.tmpdir(), 'parsoid-jsapi-test-' + process.pid + '.js');
+		fs.writeFileSync(script, 'module.exports = function(pdoc) {\n' +
+			'\tpdoc.filterWikiLinks()[0].title = "Bat";\n};\n');
+		try {
+			run([ 'transform', script, '--offline' ], text).should.equal(
+				'{{foo|bar=[[Bat]]}}\n== Quux ==\n'
+			);
+		} finally {
+			fs.unlinkSync(script);
+		}
+	});
+});
+
+describe('HTTP service', function() {
+	it('serves queries and edits over HTTP', Promise.async(function *() {
+		const server = require('../server.js').createServer({ offline });
+		yield new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		const post = function(path, body) {
+			return new Promise((resolve, reject) => {
+				const req = http.request({
+					host: '127.0.0.1',
+					port: server.address().port,
+					method: 'POST',
+					path,
+					headers: { 'Content-Type': 'application/json' },
+				}, (res) => {
+					let data = '';
+					res.setEncoding('utf8');
+					res.on('data', (chunk) => { data += chunk; });
+					res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+				});
+				req.on('error', reject);
+				req.end(JSON.stringify(body));
+			});
+		};
+		try {
+			const wikitext = '{{foo|bar=1}}\n== Baz ==\n[[Quux]]\n';
+			let res = yield post('/query/templates', { wikitext });
+			res.status.should.equal(200);
+			res.body.should.eql([ { name: 'foo', params: { bar: '1' } } ]);
+			res = yield post('/query/sections', { wikitext });
+			res.body.map(s => s.title).should.eql([ null, 'Baz' ]);
+			res = yield post('/edit', {
+				wikitext,
+				operations: [
+					{ op: 'setParam', template: 'Foo', param: 'bar', value: "''2''" },
+					{ op: 'renameTemplate', template: 'foo', name: 'bat' },
+					{ op: 'setHeadingLevel', heading: 'Baz', level: 3 },
+					{ op: 'addCategory', category: 'Things' },
+				],
+			});
+			res.status.should.equal(200);
+			res.body.changes.should.eql([ 1, 1, 1, 1 ]);
+			res.body.wikitext.should.equal(
+				"{{bat|bar=''2''}}\n=== Baz ===\n[[Quux]]\n[[Category:Things]]\n"
+			);
+			res = yield post('/edit', { wikitext, operations: [ { op: 'frob' } ] });
+			res.status.should.equal(400);
+			res.body.should.have.property('error');
+			res = yield post('/query/bogus', { wikitext });
+			res.status.should.equal(404);
+		} finally {
+			server.close();
+		}
+	}));
+});
+
 describe('Examples from guides/jsapi', function() {
 	it('converts empty wikitext to HTML', Promise.async(function *() {
 		const pdoc = yield Parsoid.parse('', {
 			pdoc: true,
 			envOptions: { wrapSections: false },
+			offline,
 		});
 		pdoc.should.have.property('document');
 		pdoc.document.should.have.property('outerHTML');
 		pdoc.document.body.children.length.should.equal(0);
 	}));
 	it('converts simple wikitext to HTML', Promise.async(function *() {
-		const pdoc = yield Parsoid.parse('I love wikitext!', { pdoc: true });
+		const pdoc = yield Parsoid.parse('I love wikitext!', { pdoc: true, offline });
 		pdoc.should.have.property('document');
 		pdoc.document.should.have.property('outerHTML');
 	}));
 	it('filters out templates', Promise.async(function *() {
 		const text = "I has a template!\n{{foo|bar|baz|eggs=spam}}\nSee it?\n";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		let wt = yield pdoc.toWikitext();
 		wt.should.equal(text);
 		const templates = pdoc.filterTemplates();
@@ -51,7 +306,7 @@ describe('Examples from guides/jsapi', function() {
 		wt = yield templates[0].toWikitext();
 		wt.should.equal('{{foo|bar|baz|eggs=spam}}');
 		const template = templates[0];
-		template.name.should.equal('foo');
+		template.nameText.should.equal('foo');
 		template.name = 'notfoo';
 		wt = yield template.toWikitext();
 		wt.should.equal('{{notfoo|bar|baz|eggs=spam}}');
@@ -66,15 +321,76 @@ describe('Examples from guides/jsapi', function() {
 	}));
 	it('filters templates, recursively', Promise.async(function *() {
 		const text = "{{foo|{{bar}}={{baz|{{spam}}}}}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const templates = pdoc.filterTemplates();
 		// XXX note that {{bar}} as template name doesn't get handled;
 		//     that's bug T106852
 		templates.length.should.equal(3);
 	}));
+	it('filters templates in template names', Promise.async(function *() {
+		const text = "{{ {{1x|foo}}-stub |x=y}}";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		let templates = pdoc.filterTemplates();
+		templates.length.should.equal(2);
+		templates[0].nameText.should.equal(' {{1x|foo}}-stub ');
+		templates[0].nameMatches('foo-stub').should.equal(true);
+		templates[0].name.filterTemplates().length.should.equal(1);
+		templates[1].nameText.should.equal('1x');
+		templates[1].get(1).value = 'bar';
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('{{ {{1x|bar}}-stub |x=y}}');
+		templates[0].nameText.should.equal(' {{1x|bar}}-stub ');
+		templates[0].nameMatches('bar-stub').should.equal(true);
+		templates = pdoc.filterTemplates({ recursive: false });
+		templates.length.should.equal(1);
+		templates[0].name = 'baz';
+		templates[0].nameMatches('baz').should.equal(true);
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('{{baz|x=y}}');
+	}));
+	it('edits the parameters of templates in template names', Promise.async(function *() {
+		const text = '{{ {{1x|a=1|b}}-stub |x}}';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const t = pdoc.filterTemplates({ recursive: false })[0];
+		t.nameMatches('b-stub').should.equal(true);
+		const inner = t.name.filterTemplates()[0];
+		inner.nameText.should.equal('1x');
+		// The parameters keep their order, values edited as HTML are
+		// serialized, and values containing `=` are escaped.
+		const b = pdoc.document.createElement('b');
+		b.textContent = '2';
+		inner.get('a').value = b;
+		inner.get(1).value = 'c=d';
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal("{{ {{1x|a='''2'''|1=c=d}}-stub |x}}");
+		t.nameMatches('c=d-stub').should.equal(true);
+	}));
+	it('edits nested template names', Promise.async(function *() {
+		const text = '{{ {{ {{1x|1x}} |b}}-stub }}';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const templates = pdoc.filterTemplates();
+		templates.length.should.equal(3);
+		templates[0].nameMatches('b-stub').should.equal(true);
+		templates[1].nameMatches('1x').should.equal(true);
+		templates[2].nameText.should.equal('1x');
+		templates[2].get(1).value = 'foo';
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('{{ {{ {{1x|foo}} |b}}-stub }}');
+		pdoc.filterTemplates()[1].nameMatches('foo').should.equal(true);
+		// Names containing templates must be parsed before they are
+		// assigned as wikitext.
+		(() => { templates[0].nameText = ' {{1x|c}}-stub '; })
+			.should.throw(/expandTemplateNames/);
+		yield pdoc.expandTemplateNames([ '{{1x|c}}-stub' ]);
+		templates[0].nameText = ' {{1x|c}}-stub ';
+		templates[0].nameMatches('c-stub').should.equal(true);
+		templates[0].name.filterTemplates().length.should.equal(1);
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('{{ {{1x|c}}-stub }}');
+	}));
 	it('filters templates, non-recursively', Promise.async(function *() {
 		const text = "{{foo|this {{includes a|template}}}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const templates = pdoc.filterTemplates({ recursive: false });
 		templates.length.should.equal(1);
 		const foo = templates[0];
@@ -87,7 +403,7 @@ describe('Examples from guides/jsapi', function() {
 	}));
 	it('is easy to mutate templates', Promise.async(function *() {
 		const text = "{{cleanup}} '''Foo''' is a [[bar]]. {{uncategorized}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		for (const template of pdoc.filterTemplates()) {
 			if (template.nameMatches('Cleanup') && !template.has('date')) {
 				template.add('date', 'July 2012');
@@ -105,7 +421,7 @@ describe('Further examples of PDoc API', function() {
 	it('is easy to mutate templates (2)', Promise.async(function *() {
 		// Works even on nested templates!
 		const text = "{{1x|{{cleanup}} '''Foo''' is a [[bar]].}} {{uncategorized}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		for (const template of pdoc.filterTemplates()) {
 			if (template.nameMatches('Cleanup') && !template.has('date')) {
 				template.add('date', 'July 2012');
@@ -119,7 +435,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('is safe to mutate template arguments', Promise.async(function *() {
 		const text = "{{1x|foo|bar}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const t = pdoc.filterTemplates()[0];
 		t.remove(1);
 		const wt = yield pdoc.toWikitext();
@@ -127,7 +443,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('is safe to mutate template arguments (2)', Promise.async(function *() {
 		const text = "{{1x|foo|bar}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const t = pdoc.filterTemplates()[0];
 		const param1 = t.get(1);
 		const param2 = t.get(2);
@@ -138,7 +454,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('filters and mutates headings', Promise.async(function *() {
 		const text = "= one =\n== two ==\n=== three ===\n==== four ====\nbody";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const headings = pdoc.filterHeadings();
 		headings.length.should.equal(4);
 		headings[0].level.should.equal(1);
@@ -157,7 +473,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('filters and mutates headings inside templates', Promise.async(function *() {
 		const text = "{{1x|1=\n= one =\n}}";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const headings = pdoc.filterHeadings();
 		headings.length.should.equal(1);
 		headings[0].level = 2;
@@ -173,7 +489,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('filters and mutates external links', Promise.async(function *() {
 		const text = "[http://example.com {{1x|link content}}]";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const extlinks = pdoc.filterExtLinks();
 		extlinks.length.should.equal(1);
 		String(extlinks[0].url).should.equal('http://example.com');
@@ -185,7 +501,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('filters and mutates wiki links', Promise.async(function *() {
 		const text = "[[foo|1]] {{1x|[[bar|2]]}} [[{{1x|bat}}|3]]";
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const extlinks = pdoc.filterWikiLinks();
 		extlinks.length.should.equal(3);
 		extlinks[0].title.toString().should.equal('Foo');
@@ -199,9 +515,480 @@ describe('Further examples of PDoc API', function() {
 		const wt = yield pdoc.toWikitext();
 		wt.should.equal('[[foobar]] {{1x|[[bar|A]]}} [[{{1x|bat}}|B]]');
 	}));
+	it('filters and mutates templated link targets', Promise.async(function *() {
+		const text = "[[{{1x|bat}}|1]] [http://{{1x|example.com}}/x 2] [[foo|3]]";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const templates = pdoc.filterTemplates();
+		templates.length.should.equal(2);
+		const links = pdoc.filterWikiLinks();
+		links.length.should.equal(2);
+		links[0].title.should.equal('Bat');
+		(yield links[0].target.toWikitext()).should.equal('{{1x|bat}}');
+		links[0].target.filterTemplates().length.should.equal(1);
+		(yield links[1].target.toWikitext()).should.equal('foo');
+		const extlinks = pdoc.filterExtLinks();
+		extlinks.length.should.equal(1);
+		extlinks[0].url.should.equal('http://example.com/x');
+		(yield extlinks[0].target.toWikitext()).should.equal('http://{{1x|example.com}}/x');
+		templates[0].get(1).value = 'baz';
+		links[1].target = links[0].target;
+		extlinks[0].url = 'http://example.org/';
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('[[{{1x|baz}}|1]] [http://example.org/ 2] [[{{1x|baz}}|3]]');
+		links[0].title = 'Bar';
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('[[Bar|1]] [http://example.org/ 2] [[{{1x|baz}}|3]]');
+	}));
+	it('filters and mutates parser functions', Promise.async(function *() {
+		const text = "{{#invoke:Foo|bar|x}} {{#if:{{1x|y}}|z}} {{PAGENAME}}";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		pdoc.filterTemplates().length.should.equal(1);
+		const pfs = pdoc.filterParserFunctions();
+		pfs.length.should.equal(3);
+		pfs[0].should.be.instanceof(Parsoid.PParserFunction);
+		pfs[0].name.should.equal('invoke');
+		pfs[2].nameMatches('PAGENAME').should.equal(true);
+		pfs[2].should.have.property('firstArg', null);
+		const invokes = pdoc.filterParserFunctions({ name: '#invoke' });
+		invokes.length.should.equal(1);
+		(yield invokes[0].firstArg.toWikitext()).should.equal('Foo');
+		(yield invokes[0].get(1).value.toWikitext()).should.equal('bar');
+		invokes[0].firstArg = 'Baz';
+		invokes[0].get(1).value = 'bat';
+		pfs[1].firstArg.filterTemplates().length.should.equal(1);
+		pfs[1].remove();
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('{{#invoke:Baz|bat|x}}  {{PAGENAME}}');
+	}));
+	it('filters behavior switches', Promise.async(function *() {
+		const text = "__NOTOC__\nfoo __NOEDITSECTION__ {{DEFAULTSORT:bar}}";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const switches = pdoc.filterBehaviorSwitches();
+		switches.length.should.equal(2);
+		switches[0].should.be.instanceof(Parsoid.PBehaviorSwitch);
+		switches[0].name.should.equal('notoc');
+		switches[1].nameMatches('__NOEDITSECTION__').should.equal(true);
+		switches[0].remove();
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('\nfoo __NOEDITSECTION__ {{DEFAULTSORT:bar}}');
+	}));
+	it('filters page properties', Promise.async(function *() {
+		const text = "{{DISPLAYTITLE:foo}}\n{{DEFAULTSORT:bar}}";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		pdoc.filterBehaviorSwitches().length.should.equal(0);
+		pdoc.filterParserFunctions().length.should.equal(0);
+		const props = pdoc.filterPageProperties();
+		props.length.should.equal(2);
+		props[0].should.be.instanceof(Parsoid.PPageProperty);
+		props[0].name.should.equal('displaytitle');
+		props[0].value.should.equal('foo');
+		const sorts = pdoc.filterPageProperties({ name: 'DEFAULTSORT:' });
+		sorts.length.should.equal(1);
+		sorts[0].value = 'baz';
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('{{DISPLAYTITLE:foo}}\n{{DEFAULTSORT:baz}}');
+	}));
+	it('filters and mutates template arguments', Promise.async(function *() {
+		const text = "{{{1}}} {{1x|{{{foo|bar [[baz]]}}}}}";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, pageName: 'Template:Foo', offline });
+		const args = pdoc.filterTemplateArgs();
+		args.length.should.equal(2);
+		args[0].should.be.instanceof(Parsoid.PTemplateArg);
+		args[0].name.should.equal('1');
+		args[0].should.have.property('default', null);
+		args[1].name.should.equal('foo');
+		(yield args[1].default.toWikitext()).should.equal('bar [[baz]]');
+		args[1].default.filterWikiLinks().length.should.equal(1);
+		pdoc.filterTemplateArgs({ recursive: false }).length.should.equal(1);
+		args[0].name = '2';
+		args[0].default = 'x';
+		args[1].default = null;
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('{{{2|x}}} {{1x|{{{foo}}}}}');
+	}));
+	it('filters and mutates categories', Promise.async(function *() {
+		const text = "Foo\n[[Category:Bar baz|qux]]\n[[Category:Bat]]";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const categories = pdoc.categories;
+		categories.length.should.equal(2);
+		categories[0].should.be.instanceof(Parsoid.PCategory);
+		categories[0].title.should.equal('Category:Bar_baz');
+		categories[0].sortKey.should.equal('qux');
+		categories[0].nameMatches('bar baz').should.equal(true);
+		categories[0].nameMatches('Category:Bar_baz').should.equal(true);
+		categories[1].should.have.property('sortKey', null);
+		categories[0].sortKey = null;
+		categories[1].sortKey = 'a b';
+		pdoc.removeCategory('Bar baz').should.equal(true);
+		pdoc.removeCategory('Bar baz').should.equal(false);
+		pdoc.addCategory('Category:New', 'x').sortKey.should.equal('x');
+		pdoc.addCategory('Bat').sortKey.should.equal('a b');
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('Foo\n\n[[Category:Bat|a b]]\n[[Category:New|x]]');
+	}));
+	it('only finds the categories of the page itself', Promise.async(function *() {
+		const text = "{{1x|[[Category:Foo]]}}";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		pdoc.filterCategories().length.should.equal(1);
+		pdoc.categories.length.should.equal(0);
+		pdoc.removeCategory('Foo').should.equal(false);
+		pdoc.addCategory('Foo');
+		pdoc.categories.length.should.equal(1);
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('{{1x|[[Category:Foo]]}}\n[[Category:Foo]]');
+	}));
+	it('filters language links and redirects', Promise.async(function *() {
+		let pdoc = yield Parsoid.parse("Foo\n[[fr:Bar baz]]", { pdoc: true, offline });
+		const links = pdoc.filterLanguageLinks();
+		links.length.should.equal(1);
+		links[0].lang.should.equal('fr');
+		links[0].title.should.equal('Bar_baz');
+		links[0].lang = 'de';
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('Foo\n[[de:Bar baz]]');
+		pdoc.should.have.property('redirectTarget', null);
+		pdoc = yield Parsoid.parse("#REDIRECT [[Foo]]", { pdoc: true, offline });
+		pdoc.redirectTarget.should.equal('Foo');
+		pdoc.redirectTarget = 'Bar';
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('#REDIRECT [[Bar]]');
+	}));
+	it('models tables as a grid', Promise.async(function *() {
+		const text = '{|\n|+cap\n!a!!b\n|-\n|rowspan="2"|c||d\n|-\n|e\n|}';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const tables = pdoc.filterTables();
+		tables.length.should.equal(1);
+		const table = tables[0];
+		table.should.be.instanceof(Parsoid.PTable);
+		(yield table.caption.toWikitext()).should.equal('cap');
+		table.rows.length.should.equal(3);
+		table.columnCount.should.equal(2);
+		table.rows[0].isHeader.should.equal(true);
+		table.rows[1].isHeader.should.equal(false);
+		table.rows[2].cells.length.should.equal(1);
+		table.cell(2, 1).should.be.instanceof(Parsoid.PNodeList);
+		(yield table.cell(2, 1).toWikitext()).should.equal('e');
+		table.cellAt(0, 1).isHeader.should.equal(true);
+		table.cellAt(1, 0).rowspan.should.equal(2);
+		table.cell(2, 0).container.should.equal(table.cell(1, 0).container);
+		should.equal(table.cell(3, 0), null);
+		should.equal(table.cellAt(3, 0), null);
+		// The cells which aren't changed keep their formatting.
+		table.setCell(2, 1, 'E');
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('{|\n|+cap\n!a!!b\n|-\n|rowspan="2"|c||d\n|-\n|E\n|}');
+		table.insertRow(2, [ 'x' ]);
+		table.cellAt(1, 0).rowspan.should.equal(3);
+		table.cell(2, 1).toHtml().should.equal('x');
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('{|\n|+cap\n!a!!b\n|-\n|rowspan="3"|c||d\n|-\n|x\n|-\n|E\n|}');
+		table.deleteRow(1);
+		table.rows.length.should.equal(3);
+		table.cell(1, 0).toHtml().should.equal('c');
+		table.cellAt(1, 0).rowspan.should.equal(2);
+		table.insertColumn(1);
+		table.columnCount.should.equal(3);
+		table.cell(2, 0).container.should.equal(table.cell(1, 0).container);
+		table.deleteColumn(0);
+		table.cell(0, 0).toHtml().should.equal('');
+		table.cell(0, 1).toHtml().should.equal('b');
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('{|\n|+cap\n! !!b\n|-\n|\n|x\n|-\n|\n|E\n|}');
+	}));
+	it('mutates simple tables', Promise.async(function *() {
+		const text = '{|\n|a||b\n|-\n|c||d\n|}';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const table = pdoc.filterTables()[0];
+		table.deleteColumn(0);
+		table.cellAt(1, 0).setAttribute('style', 'color:red');
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('{|\n|b\n|-\n| style="color:red" |d\n|}');
+	}));
+	it('sorts and re-nests list items', Promise.async(function *() {
+		const text = '* b\n** c\n* a';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const lists = pdoc.filterLists();
+		lists.length.should.equal(2);
+		const list = lists[0];
+		list.should.be.instanceof(Parsoid.PList);
+		list.kind.should.equal('bullet');
+		list.items.length.should.equal(2);
+		(yield list.items[0].contents.toWikitext()).trim().should.equal('b');
+		list.items[0].sublist.items.length.should.equal(1);
+		should.equal(list.items[1].sublist, null);
+		const key = item => item.contents.toString().trim();
+		list.sortItems((a, b) => key(a).localeCompare(key(b)));
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('* a\n* b\n** c');
+		list.items[1].sublist.items[0].outdent();
+		list.addItem('d');
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('* a\n* b\n* c\n* d');
+		list.items[3].indent();
+		list.removeItem(0);
+		list.moveItem(1, 0);
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('* c\n** d\n* b');
+	}));
+	it('sorts definition lists', Promise.async(function *() {
+		const text = '; b\n: 2\n: 3\n; a\n: 1';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const list = pdoc.filterLists()[0];
+		list.kind.should.equal('definition');
+		list.items.length.should.equal(5);
+		const key = item => item.contents.toString().trim();
+		list.sortItems((a, b) => key(a).localeCompare(key(b)));
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('; a\n: 1\n; b\n: 2\n: 3');
+	}));
+	it('manipulates the section tree', Promise.async(function *() {
+		const text = '== A ==\na\n=== A1 ===\nx\n== B ==\nb\n';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const titles = entries => entries.map((e) => {
+			return e.subsections.length ? [ e.title, titles(e.subsections) ] : e.title;
+		});
+		titles(pdoc.outline()).should.deep.equal([ [ 'A', [ 'A1' ] ], 'B' ]);
+		const a1 = pdoc.getSection('A1');
+		a1.level.should.equal(3);
+		a1.parentSection.sectionId.should.equal(1);
+		pdoc.getSection(3).body.container.textContent.trim().should.equal('b');
+		should.equal(pdoc.getSection('C'), null);
+		pdoc.getSection('B').moveBefore(pdoc.getSection('A'));
+		titles(pdoc.outline()).should.deep.equal([ 'B', [ 'A', [ 'A1' ] ] ]);
+		pdoc.getSection('A1').promote();
+		titles(pdoc.outline()).should.deep.equal([ 'B', 'A', 'A1' ]);
+		pdoc.getSection('A1').level.should.equal(2);
+		pdoc.getSection('A1').demote();
+		titles(pdoc.outline()).should.deep.equal([ 'B', [ 'A', [ 'A1' ] ] ]);
+		const c = pdoc.getSection('B').addSubsection('C', 'c');
+		c.level.should.equal(3);
+		should.equal(c.sectionId, null);
+		pdoc.getSection('A').remove();
+		const wt = yield pdoc.toWikitext();
+		// New headings are separated from the preceding content by a blank line.
+		wt.should.equal('== B ==\nb\n\n=== C ===\nc');
+	}));
+	it('serializes and replaces single sections', Promise.async(function *() {
+		const text = 'lead\n== A ==\na\n== B ==\nb\n';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		let wt = yield pdoc.sectionToWikitext(2);
+		wt.should.equal('== B ==\nb\n');
+		const sections = yield pdoc.replaceSectionFromWikitext(
+			1, '== A2 ==\nx\n=== A3 ===\ny\n'
+		);
+		sections.length.should.equal(1);
+		sections[0].sectionId.should.equal(1);
+		pdoc.getSection('A3').sectionId.should.equal(2);
+		pdoc.getSection('B').sectionId.should.equal(3);
+		wt = yield pdoc.sectionToWikitext(0);
+		wt.trim().should.equal('lead');
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('lead\n== A2 ==\nx\n=== A3 ===\ny\n== B ==\nb\n');
+	}));
+	it('serializes selectively', Promise.async(function *() {
+		const text = "==A==\n{{foo|  x =y }}\n[[Foo|bar]]\n";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, selser: true, offline });
+		pdoc.originalWikitext.should.equal(text);
+		let wt = yield pdoc.toWikitext({ selser: true });
+		wt.should.equal(text);
+		pdoc.filterWikiLinks()[0].title = 'Baz';
+		wt = yield pdoc.toWikitext({ selser: true });
+		wt.should.equal("==A==\n{{foo|  x =y }}\n[[Baz|bar]]\n");
+		// Serialization leaves the document and its environment intact.
+		pdoc.filterTemplates()[0].nameText.should.equal('foo');
+		pdoc.env.page.src.should.equal(text);
+		// Without the option, the original document is parsed again.
+		const pdoc2 = yield Parsoid.parse(text, { pdoc: true, offline });
+		(() => pdoc2.original).should.throw(/loadOriginal/);
+		pdoc2.filterWikiLinks()[0].title = 'Baz';
+		wt = yield pdoc2.toWikitext({ selser: true });
+		wt.should.equal("==A==\n{{foo|  x =y }}\n[[Baz|bar]]\n");
+		pdoc2.original.filterWikiLinks()[0].title.should.equal('Foo');
+		const original = yield pdoc2.loadOriginal();
+		(yield original.toWikitext({ selser: true })).should.equal(text);
+	}));
+	it('verifies edits', Promise.async(function *() {
+		const text = "== A ==\n{{foo|x=1}} [[Bar]]\n[[Category:Baz]]\n";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, selser: true, offline });
+		pdoc.filterTemplates()[0].get('x').value = '2';
+		pdoc.addCategory('Qux');
+		const report = yield pdoc.verifyEdit();
+		report.ok.should.equal(true);
+		report.unexpected.length.should.equal(0);
+		report.wikitext.should.equal(
+			"== A ==\n{{foo|x=2}} [[Bar]]\n[[Category:Baz]]\n[[Category:Qux]]\n"
+		);
+		report.changes.map(c => [ c.type, c.action, c.key ]).should.deep.equal([
+			[ 'template', 'changed', 'Foo' ],
+			[ 'category', 'added', 'Category:Qux' ],
+		]);
+	}));
+	it('verifies edits to the lead section', Promise.async(function *() {
+		const text = "lead [[Foo]]\n== A ==\nbody\n";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, selser: true, offline });
+		pdoc.filterText()[0].value = 'new lead ';
+		let report = yield pdoc.verifyEdit();
+		report.ok.should.equal(true);
+		report.changes.map(c => [ c.type, c.action, c.key, c.after ]).should.deep.equal([
+			[ 'section', 'changed', '', '0 new lead Foo' ],
+		]);
+		// Pretend that the serializer loses some of the lead text.
+		pdoc.toWikitext = () => Promise.resolve("new [[Foo]]\n== A ==\nbody\n");
+		report = yield pdoc.verifyEdit();
+		report.ok.should.equal(false);
+		report.unexpected.map(c => [ c.type, c.action, c.key, c.before, c.after ])
+			.should.deep.equal([
+				[ 'section', 'changed', '', '0 new lead Foo', '0 new Foo' ],
+			]);
+		// Documents without sections are compared as a whole.
+		const pdoc2 = yield Parsoid.parse(text, {
+			pdoc: true, selser: true, offline, envOptions: { wrapSections: false },
+		});
+		pdoc2.filterText()[0].value = 'new lead ';
+		pdoc2.changesFrom(pdoc2.original).map(c => [ c.key, c.after ]).should.deep.equal([
+			[ '', '0 new lead Foo A body' ],
+		]);
+	}));
+	it('supports undo, redo, and transactions', Promise.async(function *() {
+		const pdoc = yield Parsoid.parse('{{foo|x=1}}', { pdoc: true, offline });
+		pdoc.canUndo.should.equal(false);
+		// Changes outside transactions are steps of their own.
+		pdoc.filterTemplates()[0].add('v', '0');
+		pdoc.filterTemplates()[0].add('w', '0');
+		pdoc.canUndo.should.equal(true);
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|v=0|w=0}}');
+		pdoc.undo().should.equal(true);
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|v=0}}');
+		pdoc.undo().should.equal(true);
+		pdoc.undo().should.equal(false);
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1}}');
+		pdoc.redo().should.equal(true);
+		pdoc.filterTemplates()[0].remove('v');
+		pdoc.canRedo.should.equal(false);
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1}}');
+		yield pdoc.transaction(p => p.filterTemplates()[0].add('y', '2'));
+		yield pdoc.transaction(p => p.filterTemplates()[0].add('z', '3'));
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|y=2|z=3}}');
+		pdoc.undo().should.equal(true);
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|y=2}}');
+		pdoc.redo().should.equal(true);
+		pdoc.redo().should.equal(false);
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|y=2|z=3}}');
+		let error = null;
+		yield pdoc.transaction(function(p) {
+			p.filterTemplates()[0].remove('x');
+			throw new Error('oops');
+		}).catch(function(e) { error = e; });
+		error.message.should.equal('oops');
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|y=2|z=3}}');
+		yield pdoc.transaction(Promise.async(function *(p) {
+			p.filterTemplates()[0].remove('x');
+			yield Promise.delay(1);
+			p.filterTemplates()[0].remove('y');
+		}));
+		(yield pdoc.toWikitext()).should.equal('{{foo|z=3}}');
+		pdoc.undo();
+		(yield pdoc.toWikitext()).should.equal('{{foo|x=1|y=2|z=3}}');
+		// Transactions can't overlap.
+		const first = pdoc.transaction(Promise.async(function *(p) {
+			p.filterTemplates()[0].remove('x');
+			yield Promise.delay(1);
+		}));
+		error = null;
+		yield pdoc.transaction(function(p) {
+			p.filterTemplates()[0].remove('y');
+		}).catch(function(e) { error = e; });
+		error.message.should.match(/pending/);
+		yield first;
+		(yield pdoc.toWikitext()).should.equal('{{foo|y=2|z=3}}');
+	}));
+	it('emits change events', Promise.async(function *() {
+		const text = "== A ==\n{{foo|x=[[Bar]]}}\n";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const docEvents = [];
+		const templateEvents = [];
+		pdoc.on('change', e => docEvents.push(e));
+		const template = pdoc.filterTemplates()[0];
+		template.on('change', e => templateEvents.push(e));
+		pdoc.filterWikiLinks()[0].title = 'Baz';
+		docEvents.length.should.equal(1);
+		docEvents[0].property.should.equal('title');
+		docEvents[0].oldValue.should.equal('Bar');
+		docEvents[0].newValue.should.equal('Baz');
+		docEvents[0].target.should.be.instanceof(Parsoid.PWikiLink);
+		templateEvents.length.should.equal(1);
+		const heading = pdoc.filterHeadings()[0];
+		heading.level = 2;
+		docEvents.length.should.equal(1);
+		heading.level = 3;
+		docEvents.length.should.equal(2);
+		docEvents[1].oldValue.should.equal(2);
+		docEvents[1].newValue.should.equal(3);
+		templateEvents.length.should.equal(1);
+		heading.node.setAttribute('id', 'x');
+		heading.update();
+		docEvents.length.should.equal(3);
+		should.equal(docEvents[2].property, null);
+		docEvents[2].node.should.equal(heading.node);
+		const param = template.get('x');
+		param.value = 'qux';
+		docEvents.length.should.equal(4);
+		docEvents[3].target.should.equal(param);
+		docEvents[3].property.should.equal('value');
+		docEvents[3].oldValue.should.match(/Baz/);
+		docEvents[3].newValue.should.equal('qux');
+		templateEvents.length.should.equal(2);
+		param.key = 'y';
+		docEvents.length.should.equal(5);
+		docEvents[4].property.should.equal('key');
+		should.equal(docEvents[4].oldValue, null);
+		docEvents[4].newValue.should.equal('y');
+		templateEvents.length.should.equal(3);
+	}));
+	it('finds and replaces text across markup', Promise.async(function *() {
+		const text = "foo '''ba'''r&amp;baz {{1x|foobar}} <!-- bar -->";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const found = pdoc.findText('bar&baz');
+		found.length.should.equal(1);
+		found[0].ranges.map(r => r.pnode.constructor.name).should.eql([
+			'PText', 'PText', 'PHtmlEntity', 'PText',
+		]);
+		found[0].ranges[0].should.have.property('start', 0);
+		found[0].ranges[0].should.have.property('end', 2);
+		pdoc.findText(/BAR/i).length.should.equal(3);
+		pdoc.findText('bar', { skipTemplates: true, skipComments: true })
+			.length.should.equal(1);
+		const count = pdoc.replaceText(/ba(r)/, 'X$1', { skipComments: true });
+		count.should.equal(2);
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal("foo '''Xr'''&amp;baz {{1x|fooXr}} <!-- bar -->");
+	}));
+	it('renders plain text', Promise.async(function *() {
+		const text = "'''Foo''' is a [[bar|Bar]].<ref>cite</ref>\n\n" +
+			'== Baz ==\n{{1x|hi}} [http://example.com ex]\nmore\n' +
+			'{|\n|a\n|}\n* one\n* two\n';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		pdoc.toPlainText().should.equal(
+			'Foo is a Bar.\n\nBaz\n\nex more\n\none\ntwo'
+		);
+		pdoc.toPlainText({
+			links: false,
+			templates: true,
+			tables: true,
+			headings: false,
+		}).should.equal('Foo is a .\n\nhi more\n\na\n\none\ntwo');
+		pdoc.filterTemplates()[0].toPlainText().should.equal('hi');
+		pdoc.filterSections()[1].toPlainText({ tables: true })
+			.should.equal('Baz\n\nex more\n\na\n\none\ntwo');
+	}));
+	it('keeps the white space of preformatted text', Promise.async(function *() {
+		const text = 'x   y\n\n a  b\n   c\n\nafter';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		pdoc.toPlainText().should.equal('x y\n\na  b\n  c\n\nafter');
+	}));
 	it('filters and mutates html entities',Promise.async(function *() {
 		const text = '&amp;{{1x|&quot;}}';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const entities = pdoc.filterHtmlEntities();
 		entities.length.should.equal(2);
 		entities[0].normalized.should.equal('&');
@@ -213,7 +1000,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('filters and mutates comments', Promise.async(function *() {
 		const text = '<!-- foo --> {{1x|<!--bar-->}}';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const comments = pdoc.filterComments();
 		comments.length.should.equal(2);
 		comments[0].contents.should.equal(' foo ');
@@ -225,7 +1012,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('filters and mutates images', Promise.async(function *() {
 		var text = '[[File:SomeFile1.jpg]] [[File:SomeFile2.jpg|thumb|caption]]';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const media = pdoc.filterMedia();
 		media.length.should.equal(2);
 		media[0].should.have.property('caption', null);
@@ -240,9 +1027,66 @@ describe('Further examples of PDoc API', function() {
 		wt = yield pdoc.toWikitext();
 		wt.should.equal('[[File:SomeFile1.jpg]] [[File:SomeFile2.jpg|thumb|<nowiki>|</nowiki>]]');
 	}));
+	it('mutates image options', Promise.async(function *() {
+		const text = '[[File:Foo.jpg|thumb|left|alt=A|caption]] [[File:Bar.jpg|link=Baz]]';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const media = pdoc.filterMedia();
+		media.length.should.equal(2);
+		media[0].filename.should.equal('File:Foo.jpg');
+		media[0].format.should.equal('thumb');
+		media[0].align.should.equal('left');
+		media[0].alt.should.equal('A');
+		should.equal(media[0].link, null);
+		should.equal(media[0].width, null);
+		should.equal(media[0].upright, null);
+		should.equal(media[1].format, null);
+		media[1].link.should.equal('Baz');
+		media[0].filename = 'Qux.jpg';
+		media[0].alt = 'B';
+		media[0].align = null;
+		media[1].format = 'thumb';
+		media[1].link = null;
+		media[1].node.tagName.should.equal('FIGURE');
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('[[File:Qux.jpg|thumb|alt=B|caption]] [[File:Bar.jpg|thumb]]');
+	}));
+	it('filters and mutates extension tags', Promise.async(function *() {
+		const text = 'foo<ref name="a">bar</ref>\n<pre>x  y</pre>';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const refs = pdoc.filterExtensions({ name: 'ref' });
+		refs.length.should.equal(1);
+		refs[0].should.be.instanceof(Parsoid.PExtension);
+		refs[0].name.should.equal('ref');
+		refs[0].getAttribute('name').should.equal('a');
+		(yield refs[0].body.toWikitext()).should.equal('bar');
+		const pres = pdoc.filterExtensions({ name: 'pre' });
+		pres.length.should.equal(1);
+		pres[0].body.should.equal('x  y');
+		refs[0].body = 'BAR';
+		refs[0].setAttribute('name', 'b');
+		pres[0].body = 'z';
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal('foo<ref name="b">BAR</ref>\n<pre>z</pre>');
+	}));
+	it('sets the body of a self-closing extension tag', Promise.async(function *() {
+		const text = 'a<ref name="x" />b<ref name="y" />';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const refs = pdoc.filterExtensions({ name: 'ref' });
+		refs.length.should.equal(2);
+		should.equal(refs[0].body, null);
+		// Ref bodies are parsed wikitext, not raw source.
+		refs[0].body = 'x';
+		refs[0].body.should.be.instanceof(Parsoid.PNodeList);
+		const b = pdoc.document.createElement('b');
+		b.textContent = 'y';
+		refs[1].body = b;
+		refs[1].body.should.be.instanceof(Parsoid.PNodeList);
+		const wt = yield pdoc.toWikitext();
+		wt.should.equal("a<ref name=\"x\">x</ref>b<ref name=\"y\">'''y'''</ref>");
+	}));
 	it('filters and mutates text', Promise.async(function *() {
 		const text = 'foo {{1x|bar}}';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		let texts = pdoc.filterText({ recursive: false });
 		texts.length.should.equal(1);
 		texts = pdoc.filterText({ recursive: true });
@@ -258,7 +1102,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it.skip('filters and mutates text (2)', Promise.async(function *() {
 		const text = '{{{1x|{{!}}}}\n| foo\n|}';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const texts = pdoc.filterText();
 		texts.length.should.equal(1);
 		// XXX this doesn't work yet, see note at end of
@@ -266,9 +1110,88 @@ describe('Further examples of PDoc API', function() {
 		// for details. ("Editing support for the interspersed wikitext...")
 		texts[0].value.should.equal(' foo');
 	}));
+	it('returns the output of templates unless asked not to', Promise.async(function *() {
+		const text = '{{1x|<div>[[a]] <!--b--></div>}} [[c]]';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const titles = links => links.map(l => l.title);
+		// The links in the template parameter, the link generated by the
+		// template, and the link outside the template.
+		titles(pdoc.filterWikiLinks()).should.eql([ 'A', 'A', 'C' ]);
+		titles(pdoc.filterWikiLinks({ recursive: false })).should.eql([ 'A', 'C' ]);
+		// But not generated comments or text.
+		pdoc.filterComments({ recursive: false }).length.should.equal(0);
+		pdoc.filterComments({ generated: true, recursive: false }).length.should.equal(1);
+		// Without the template output.
+		titles(pdoc.filterWikiLinks({ generated: false })).should.eql([ 'A', 'C' ]);
+		titles(pdoc.filterWikiLinks({ generated: false, recursive: false })).should.eql([ 'C' ]);
+		// This is the default for filter().
+		titles(pdoc.filter({ types: [ Parsoid.PWikiLink ] })).should.eql([ 'A', 'C' ]);
+		titles(pdoc.filter({ types: [ Parsoid.PWikiLink ], generated: true }))
+			.should.eql([ 'A', 'A', 'C' ]);
+	}));
+	it('filters using types, selectors, and predicates', Promise.async(function *() {
+		const text = "[[a]] {{Quux|x=[[b]] <!--c-->}} {{1x|[[d]]}} ''e''";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		let result = pdoc.filter({
+			types: [ Parsoid.PWikiLink ],
+			predicate: (link, ancestors) => ancestors.some(
+				t => t instanceof Parsoid.PTemplate && t.nameMatches('quux')
+			),
+		});
+		result.length.should.equal(1);
+		result[0].title.should.equal('B');
+		result = pdoc.filter({ types: Parsoid.PWikiLink, recursive: false });
+		result.length.should.equal(1);
+		result = pdoc.filter({ matches: 'i,COMMENT' });
+		result.length.should.equal(2);
+		result[0].should.be.instanceof(Parsoid.PComment);
+		result[1].should.be.instanceof(Parsoid.PTag);
+		result[1].tagName.should.equal('i');
+		result = pdoc.filter({ types: [ Parsoid.PTemplate, Parsoid.PWikiLink ] });
+		result.map(n => n.constructor.name).should.deep.equal([
+			'PWikiLink', 'PTemplate', 'PWikiLink', 'PTemplate', 'PWikiLink',
+		]);
+	}));
+	it('inserts, replaces, and removes nodes', Promise.async(function *() {
+		const text = '[[a]] {{foo}} [[b]]';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		pdoc.remove(pdoc.filterTemplates()[0]);
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('[[a]]  [[b]]');
+		const links = pdoc.filterWikiLinks();
+		links.length.should.equal(2);
+		pdoc.insertAfter(links[0], '!');
+		pdoc.replace(links[1], 'c');
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('[[a]]!  c');
+		links[0].remove();
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('!  c');
+		(() => pdoc.remove(links[0])).should.throw(Error);
+		const texts = pdoc.filterText();
+		pdoc.insertAfter(texts[texts.length - 1], pdoc.document.createTextNode(' d'));
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('!  c d');
+	}));
+	it('removes templates which share a node', Promise.async(function *() {
+		const text = '{{1x|<div>}}x{{1x|</div>}}';
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const templates = pdoc.filterTemplates();
+		templates.length.should.equal(2);
+		templates[0].node.should.equal(templates[1].node);
+		templates[0].remove();
+		let wt = yield pdoc.toWikitext();
+		wt.should.equal('x{{1x|</div>}}');
+		// The other wrapper still refers to the same template.
+		templates[1].get(1).value.should.be.instanceof(Parsoid.PNodeList);
+		templates[1].remove();
+		wt = yield pdoc.toWikitext();
+		wt.should.equal('x');
+		pdoc.filterTemplates().length.should.equal(0);
+	}));
 	it('allows mutation using wikitext', Promise.async(function *() {
 		const text = '== heading ==';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		const headings = pdoc.filterHeadings();
 		headings.length.should.equal(1);
 		// Note that even if the wikitext is unbalanced, the result
@@ -280,7 +1203,7 @@ describe('Further examples of PDoc API', function() {
 	}));
 	it('allows iteration using length and get()', Promise.async(function *() {
 		const text = 'zero\n== 1 ==\n[http://example.com 2]<!-- 3 -->&nbsp;{{1x|4}} 5 [[Foo|6]]';
-		const pdoc = yield Parsoid.parse(text, { pdoc: true });
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
 		pdoc.length.should.equal(2);
 		pdoc.get(0).should.be.instanceof(Parsoid.PSection);
 		pdoc.get(0).sectionId.should.equal(0);
@@ -314,4 +1237,35 @@ describe('Further examples of PDoc API', function() {
 		paragraph.indexOf(' 5 ').should.equal(4);
 		paragraph.indexOf('\u00A0').should.equal(2);
 	}));
+	it('allows lazy iteration', Promise.async(function *() {
+		const text = "[[a]] {{1x|[[b]] {{1x|[[c]]}}}} <!--d--> [[e]]";
+		const pdoc = yield Parsoid.parse(text, { pdoc: true, offline });
+		const it = pdoc.iterWikiLinks({ generated: false });
+		it.next().value.title.should.equal('A');
+		it.next().value.title.should.equal('B');
+		const titles = [];
+		for (const link of it) {
+			titles.push(link.title);
+		}
+		titles.should.deep.equal([ 'C', 'E' ]);
+		pdoc.iterTemplates({ recursive: false }).next().value.nameMatches('1x').should.equal(true);
+		Array.from(pdoc.walk({ matches: 'COMMENT' })).length.should.equal(1);
+		const paragraph = pdoc.get(0).contents.get(0).contents;
+		let count = 0;
+		for (const pnode of paragraph) {
+			pnode.should.equal(paragraph.get(count++));
+		}
+		count.should.equal(paragraph.length);
+		const ait = pdoc.walkAsync({ types: [ Parsoid.PWikiLink ] });
+		titles.length = 0;
+		for (let r = yield ait.next(); !r.done; r = yield ait.next()) {
+			titles.push(r.value.title);
+		}
+		titles.should.deep.equal([ 'A', 'B', 'C', 'E' ]);
+		const first = yield paragraph.iterAsync().next();
+		first.value.should.equal(paragraph.get(0));
+		if (typeof Symbol.asyncIterator === 'symbol') {
+			(yield paragraph[Symbol.asyncIterator]().next()).value.should.equal(paragraph.get(0));
+		}
+	}));
 });
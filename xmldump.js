@@ -0,0 +1,245 @@
+/**
+ * A reader for MediaWiki XML export files ("dumps"), for use with
+ * {@link Parsoid.parseMany}.
+ * @module
+ */
+
+'use strict';
+
+const fs = require('fs');
+const StringDecoder = require('string_decoder').StringDecoder;
+const Transform = require('stream').Transform;
+const zlib = require('zlib');
+
+// Helper: decode the XML entities in `s`.
+const decodeXml = function(s) {
+	return s.replace(/&(?:#x([0-9a-f]+)|#([0-9]+)|(lt|gt|amp|quot|apos));/gi, (m, hex, dec, name) => {
+		if (hex || dec) {
+			return String.fromCodePoint(parseInt(hex || dec, hex ? 16 : 10));
+		}
+		return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+	});
+};
+
+// Helper: the attributes of a start tag, like `text xml:space="preserve"`.
+const parseAttrs = function(s) {
+	const attrs = {};
+	const re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	let m;
+	while ((m = re.exec(s)) !== null) {
+		attrs[m[1]] = decodeXml(m[2] !== undefined ? m[2] : m[3]);
+	}
+	return attrs;
+};
+
+/**
+ * A stream which reads a MediaWiki XML export file, and yields an
+ * object for each page:
+ * - `title`: the title of the page.
+ * - `ns`: the namespace number of the page.
+ * - `id`: the page id.
+ * - `redirect`: the target of the redirect, or `null` if the page is
+ *   not a redirect.
+ * - `revid`, `timestamp`, `model`: the id, timestamp, and content
+ *   model of the (last) revision of the page in the file.
+ * - `wikitext`: the text of that revision.
+ *
+ * Write the XML to the stream (or pipe a file into it) and read the
+ * pages from it, for example:
+ * ```
+ * fs.createReadStream('dump.xml').pipe(new DumpReader())
+ *     .on('data', page => console.log(page.title));
+ * ```
+ * @extends stream.Transform
+ */
+class DumpReader extends Transform {
+	/**
+	 * @param {Object} [opts]
+	 * @param {number[]} [opts.namespaces]
+	 *   Only yield pages in these namespaces, like `[ 0 ]` for articles.
+	 */
+	constructor(opts) {
+		super({ readableObjectMode: true });
+		opts = opts || {};
+		this._namespaces = opts.namespaces ? new Set(opts.namespaces) : null;
+		this._decoder = new StringDecoder('utf8');
+		this._buffer = '';
+		// The names of the open elements.
+		this._stack = [];
+		// The raw text of the element being read, or null.
+		this._chars = null;
+		this._page = null;
+		this._revision = null;
+	}
+
+	_transform(chunk, encoding, cb) {
+		this._buffer += (typeof chunk === 'string') ? chunk :
+			this._decoder.write(chunk);
+		try {
+			this._parse();
+		} catch (e) {
+			return cb(e);
+		}
+		cb();
+	}
+
+	_flush(cb) {
+		this._buffer += this._decoder.end();
+		try {
+			this._parse();
+		} catch (e) {
+			return cb(e);
+		}
+		if (this._page || this._buffer.trim() !== '') {
+			return cb(new Error('Unexpected end of XML dump'));
+		}
+		cb();
+	}
+
+	// Internal helper: process the complete tags in the buffer.
+	_parse() {
+		const buf = this._buffer;
+		let pos = 0;
+		for (;;) {
+			const lt = buf.indexOf('<', pos);
+			if (lt < 0) {
+				this._text(buf.slice(pos));
+				pos = buf.length;
+				break;
+			}
+			this._text(buf.slice(pos, lt));
+			const comment = buf.startsWith('<!--', lt);
+			let end = buf.indexOf(comment ? '-->' : '>', lt);
+			if (end < 0) {
+				// Wait for the rest of this tag.
+				pos = lt;
+				break;
+			}
+			if (comment) { end += 2; }
+			this._tag(buf.slice(lt + 1, end));
+			pos = end + 1;
+		}
+		this._buffer = buf.slice(pos);
+	}
+
+	// Internal helper: text between tags.
+	_text(s) {
+		if (this._chars !== null) {
+			this._chars += s;
+		}
+	}
+
+	// Internal helper: a start tag, end tag, or empty-element tag.
+	_tag(s) {
+		if (/^[?!]/.test(s)) {
+			// Processing instruction, comment, or doctype.
+			return;
+		}
+		if (s[0] === '/') {
+			const name = s.slice(1).trim();
+			if (this._stack[this._stack.length - 1] !== name) {
+				throw new Error('Mismatched end tag in XML dump: ' + name);
+			}
+			const text = this._chars === null ? null : decodeXml(this._chars);
+			this._chars = null;
+			this._end(name, text, {});
+			this._stack.pop();
+			return;
+		}
+		const empty = /\/$/.test(s);
+		const m = /^([^\s/]+)\s*([\s\S]*?)\/?$/.exec(s);
+		const name = m[1];
+		const attrs = parseAttrs(m[2]);
+		this._stack.push(name);
+		if (empty) {
+			this._end(name, null, attrs);
+			this._stack.pop();
+		} else {
+			this._start(name, attrs);
+		}
+	}
+
+	// Internal helper: the parent of the current element.
+	get _parent() {
+		return this._stack[this._stack.length - 2];
+	}
+
+	_start(name, attrs) {
+		if (name === 'page') {
+			this._page = {
+				title: null,
+				ns: 0,
+				id: null,
+				redirect: null,
+				revid: null,
+				timestamp: null,
+				model: 'wikitext',
+				wikitext: null,
+			};
+		} else if (name === 'revision' && this._page) {
+			this._revision = {};
+		} else if (this._revision || this._page) {
+			// Collect the text of the fields of pages and revisions.
+			this._chars = '';
+		}
+	}
+
+	_end(name, text, attrs) {
+		const page = this._page;
+		const rev = this._revision;
+		if (name === 'page' && page) {
+			this._page = null;
+			if (!this._namespaces || this._namespaces.has(page.ns)) {
+				this.push(page);
+			}
+		} else if (name === 'revision' && rev) {
+			this._revision = null;
+			Object.assign(page, {
+				revid: rev.id !== undefined ? +rev.id : null,
+				timestamp: rev.timestamp || null,
+				model: rev.model || page.model,
+				wikitext: rev.text !== undefined ? rev.text : null,
+			});
+		} else if (rev && this._parent === 'revision') {
+			rev[name] = text === null ? '' : text;
+		} else if (page && this._parent === 'page') {
+			if (name === 'title') {
+				page.title = text;
+			} else if (name === 'ns') {
+				page.ns = +text;
+			} else if (name === 'id') {
+				page.id = +text;
+			} else if (name === 'redirect') {
+				page.redirect = attrs.title || null;
+			}
+		}
+	}
+}
+
+/**
+ * Read the pages from a MediaWiki XML export file.  Files whose names
+ * end in `.gz` are decompressed.
+ * @param {string|stream.Readable} input
+ *   The name of the file, or a stream of its contents.
+ * @param {Object} [opts]
+ *   Options for {@link DumpReader}.
+ * @return {DumpReader}
+ *   A stream of the pages in the file.
+ */
+const readDump = function(input, opts) {
+	const reader = new DumpReader(opts);
+	const forward = err => reader.emit('error', err);
+	let stream = input;
+	if (typeof input === 'string') {
+		stream = fs.createReadStream(input).on('error', forward);
+		if (/\.gz$/.test(input)) {
+			stream = stream.pipe(zlib.createGunzip()).on('error', forward);
+		}
+	}
+	return stream.pipe(reader);
+};
+
+module.exports = {
+	DumpReader,
+	readDump,
+};